@@ -1,87 +1,115 @@
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const { Connection, PublicKey, Transaction, Keypair, SystemProgram } = require('@solana/web3.js');
-const { 
-  createTransferInstruction, 
-  getAssociatedTokenAddress 
-} = require('@solana/spl-token');
-const TOKEN_EXTENSIONS_PROGRAM_ID = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
+const { PublicKey, Keypair, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const bs58 = require('bs58');
-const BN = require('bn.js');
 // Add rate limiting package
 const rateLimit = require('express-rate-limit');
+const {
+  generateServerSeed,
+  hashServerSeed,
+  generateClientSeed
+} = require('./fairness');
+const { Shoe, buildDeck } = require('./shoe');
+const { GameStore } = require('./store');
+const { DEFAULT_RULES, loadRules, validateRules } = require('./rules');
+const { toBaseUnits, fromBaseUnits } = require('./token');
+const {
+  Ledger,
+  playerAccount,
+  EXTERNAL_ACCOUNT,
+  HOUSE_ACCOUNT,
+  WITHDRAWALS_ACCOUNT
+} = require('./ledger');
+const { EventHub } = require('./events');
+const { GameHistory } = require('./history');
+const { logger } = require('./logger');
+const { MetricsRegistry, METRICS_CONTENT_TYPE } = require('./metrics');
+const { Scheduler } = require('./scheduler');
+const { SolanaChain, parseTreasurySeed } = require('./chain');
+const { SimulatedChain } = require('./simulated_chain');
+const { secureRandom, seededRandom } = require('./random');
+const { SCHEMA, loadConfig, describeConfig } = require('./config');
+const { evaluateHand, bestAction, insuranceValue } = require('./strategy');
 
 dotenv.config();
 
+// Every setting from the environment, and the table rules profile (deck count, dealer soft 17,
+// payouts, fees, allowed actions); both set by createApp
+let config = null;
+let RULES = null;
+
 const app = express();
 app.use(cors());
 app.use(express.json());
 
-// Constants
-const TREASURY_ACCOUNT = process.env.TREASURY_WALLET || "8VPZGxMMcyFykMPAApeyhsNwVtrgXZYpu28Rm2iLknbq";
-const CARDS_TOKEN_MINT = process.env.TOKEN_MINT || "5Xbscj1D5R3RrSpeQyYe4zCkdGqZTrjxVuNszrhDacjv";
-const ENTRY_FEE = 3; // 3 CARDS tokens
-const REWARD_AMOUNT = 5; // 5 CARDS tokens
-
-// Solana connection
-const SOLANA_NETWORK = process.env.SOLANA_NETWORK || 'devnet';
-const SOLANA_ENDPOINT = SOLANA_NETWORK === 'mainnet-beta' 
-  ? 'https://api.mainnet-beta.solana.com' 
-  : SOLANA_NETWORK === 'testnet' 
-    ? 'https://api.testnet.solana.com' 
-    : 'https://api.devnet.solana.com';
-const connection = new Connection(SOLANA_ENDPOINT, 'confirmed');
-
-// Initialize treasury wallet from seed
-let treasuryKeypair;
-
-try {
-  // Try to parse the treasury seed from environment variable
-  const TREASURY_SEED = process.env.TREASURY_SEED;
-  
-  if (TREASURY_SEED) {
-    // Check if it's a JSON array
-    if (TREASURY_SEED.startsWith('[') && TREASURY_SEED.endsWith(']')) {
-      try {
-        // Parse the array of numbers
-        const seedArray = JSON.parse(TREASURY_SEED);
-        const uint8Array = new Uint8Array(seedArray);
-        treasuryKeypair = Keypair.fromSecretKey(uint8Array);
-        console.log('Treasury wallet loaded from seed array:', treasuryKeypair.publicKey.toString());
-      } catch (e) {
-        console.error('Error parsing seed array:', e);
-        throw new Error('Invalid seed array format');
-      }
-    } else {
-      // Try to parse as base58 encoded private key
-      try {
-        const secretKey = bs58.decode(TREASURY_SEED);
-        treasuryKeypair = Keypair.fromSecretKey(secretKey);
-        console.log('Treasury wallet loaded from base58 private key:', treasuryKeypair.publicKey.toString());
-      } catch (e) {
-        console.error('Error decoding base58 seed:', e);
-        throw new Error('Invalid base58 private key format');
-      }
-    }
-    
-    // Verify that the keypair matches the expected public key
-    if (treasuryKeypair.publicKey.toString() !== TREASURY_ACCOUNT) {
-      console.warn(`Warning: Generated keypair public key (${treasuryKeypair.publicKey.toString()}) doesn't match the expected treasury address (${TREASURY_ACCOUNT})`);
-    }
-  } else {
-    console.error('TREASURY_SEED environment variable not set');
-    // For demo purposes, generate a keypair
-    treasuryKeypair = Keypair.generate();
-    console.warn('Using generated keypair for demo (no funds):', treasuryKeypair.publicKey.toString());
-  }
-} catch (error) {
-  console.error('Error initializing treasury wallet:', error);
-  process.exit(1);
-}
+// Every request gets an id (the caller's X-Request-Id if it sent one) that its log lines carry
+app.use((req, res, next) => {
+  const requestId = req.get('X-Request-Id') || crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  req.id = requestId;
+  req.log = logger.child({ requestId });
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    req.log.info('Request finished', {
+      method: req.method,
+      // Without the query string, which can hold an event stream's session token
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+    });
+  });
+  next();
+});
+
+// Precision of CARDS amounts in the ledger and in game payouts; the mint's own decimals are read from chain
+const LEDGER_DECIMALS = 9;
+// A finished game keeps the player marked active a little longer, so a repeated request still finds it
+const ACTIVE_RELEASE_DELAY = 5000; // milliseconds
+const EVENT_KEEPALIVE_INTERVAL = 25 * 1000; // Comment line sent to keep idle event streams open
+// Authentication lifetimes (milliseconds)
+const AUTH_CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutes to sign a challenge
+
+// Chain adapter for deposits, payouts and treasury balances, set by createApp
+let chain = null;
+// Source of ids and seeds, set by createApp
+let random = secureRandom;
+// Description of the CARDS mint (decimals, token program, transfer fee), loaded at startup
+let cardsMint = null;
 
-// Track paid rewards to prevent double payments
-const paidRewards = new Map();
+// Persistent storage, replayed into the collections below at startup
+const store = new GameStore();
+
+// On-chain payout transactions keyed by payoutId, each paying a batch of withdrawals
+const payouts = store.collection('payouts');
+// Player balances: every deposit, wager, winning and withdrawal as a ledger transaction
+const ledger = new Ledger(store.collection('ledger'), { decimals: LEDGER_DECIMALS });
+// Withdrawal requests keyed by withdrawalId
+const withdrawals = store.collection('withdrawals');
+// Player token accounts created by confirmed payouts, with the rent the treasury paid (lamports)
+const tokenAccountCreations = store.collection('tokenAccountCreations');
+// Last treasury transaction seen by the deposit watcher
+const cursors = store.collection('cursors');
+// Operator settings that survive restarts, such as a pause on new games
+const settings = store.collection('settings');
+// Every admin action, keyed by id
+const adminAudit = store.collection('adminAudit');
+// Outstanding sign-in challenges keyed by nonce
+const authChallenges = new Map();
+// Active session tokens keyed by token
+const sessions = new Map();
+// Server seed for the next shuffle of each shoe (keyed by shoe id: a player's id or a table's),
+// committed and its hash published before any client seed for that shuffle is taken
+const serverSeedCommitments = store.collection('serverSeedCommitments');
+// Live events of each player's games (player:<playerId>) and of each table (table:<tableId>)
+const gameEvents = new EventHub();
+
+// Payouts move pending -> submitted -> confirmed; a submitted payout whose blockhash
+// expired becomes expired and is resubmitted, and failed is final
+const PAYOUT_FINAL_STATES = ['confirmed', 'failed'];
 
 // Define valid game states and transitions
 const VALID_GAME_STATES = {
@@ -91,131 +119,633 @@ const VALID_GAME_STATES = {
   GAME_ENDED: []
 };
 
+// Tables deal round after round, so an ended round goes back to taking bets
+const VALID_TABLE_STATES = {
+  WAITING_FOR_BETS: ['PLAYER_TURN'],
+  PLAYER_TURN: ['DEALER_TURN', 'ROUND_ENDED'],
+  DEALER_TURN: ['ROUND_ENDED'],
+  ROUND_ENDED: ['WAITING_FOR_BETS']
+};
+
+// Prometheus metrics served on /metrics; gauges are read when the metrics are scraped
+const metrics = new MetricsRegistry();
+const gamesStarted = metrics.counter('snapjack_games_started_total', 'Games started (bets placed)', ['mode']);
+const gamesFinished = metrics.counter('snapjack_games_finished_total', 'Games finished, by result', ['mode', 'result']);
+const cardsWagered = metrics.counter('snapjack_wagered_cards_total', 'CARDS wagered on finished games', ['mode']);
+const cardsReturned = metrics.counter('snapjack_returned_cards_total', 'CARDS paid back on finished games, stakes included', ['mode']);
+const playerActions = metrics.counter('snapjack_player_actions_total', 'Player decisions, by action', ['mode', 'action']);
+const payoutTransitions = metrics.counter('snapjack_payouts_total', 'Payout status changes, by new status', ['status']);
+const payoutErrors = metrics.counter('snapjack_payout_errors_total', 'Errors building, sending or checking payout transactions', ['stage']);
+const payoutLatency = metrics.histogram(
+  'snapjack_payout_latency_seconds',
+  'Time from a payout being queued to its transaction being confirmed',
+  [],
+  [5, 15, 30, 60, 120, 300, 600, 1800]
+);
+// Wagered and returned totals give the realized house edge: 1 - returned / wagered
+function countFinishedGame(mode, result, wagered, returned) {
+  gamesFinished.inc({ mode, result });
+  cardsWagered.inc({ mode }, wagered);
+  cardsReturned.inc({ mode }, returned);
+}
+
+const rateLimitRejections = metrics.counter('snapjack_rate_limit_rejections_total', 'Requests refused by a rate limiter', ['limiter']);
+metrics.gauge('snapjack_active_players', 'Players with a game in progress', [], gauge => gauge.set({}, activePlayers.size));
+metrics.gauge('snapjack_games_loaded', 'Games kept in memory: in progress or recently finished', [], gauge => gauge.set({}, games.size));
+metrics.gauge('snapjack_open_tables', 'Multi-seat tables open', [], gauge => gauge.set({}, tables.size));
+metrics.gauge('snapjack_treasury_balance', 'Treasury balances as last read from chain', ['currency'], gauge => {
+  if (treasury.updatedAt === null) return;
+  gauge.set({ currency: 'SOL' }, treasury.sol);
+  gauge.set({ currency: 'CARDS' }, treasury.cards);
+});
+metrics.gauge('snapjack_liabilities_cards', 'Open liabilities in CARDS', ['kind'], gauge => {
+  const { total, ...parts } = getLiabilities();
+  for (const [kind, amount] of Object.entries(parts)) {
+    gauge.set({ kind }, amount);
+  }
+  gauge.set({ kind: 'total' }, total);
+});
+
+// A limiter that counts and logs the requests it refuses. Its options are read from the
+// configuration on the first request, since routes are registered before createApp runs.
+function limiter(name, getOptions) {
+  let middleware = null;
+  return (req, res, next) => {
+    if (!middleware) {
+      middleware = rateLimit({
+        ...getOptions(),
+        handler: (req, res, next, limitOptions) => {
+          rateLimitRejections.inc({ limiter: name });
+          req.log.warn('Rate limit reached', { limiter: name, ip: req.ip, path: req.baseUrl + req.path });
+          res.status(limitOptions.statusCode).send(limitOptions.message);
+        }
+      });
+    }
+    return middleware(req, res, next);
+  };
+}
+
+// Rate limit window in words, for the message sent once it is reached
+function describeWindow(ms) {
+  if (ms >= 60000) {
+    const minutes = Math.round(ms / 60000);
+    return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+  }
+  const seconds = Math.max(1, Math.round(ms / 1000));
+  return seconds === 1 ? '1 second' : `${seconds} seconds`;
+}
+
 // Configure rate limiters
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+const apiLimiter = limiter('api', () => ({
+  windowMs: config.apiRateLimitWindow, // 15 minutes by default
+  max: config.apiRateLimitMax, // limit each IP to 100 requests per windowMs by default
   standardHeaders: true,
   legacyHeaders: false,
-  message: "Too many requests from this IP, please try again after 15 minutes"
-});
+  message: `Too many requests from this IP, please try again after ${describeWindow(config.apiRateLimitWindow)}`
+}));
 
 // More strict limiter for sensitive operations
-const gameActionLimiter = rateLimit({
-  windowMs: 5 * 60 * 1000, // 5 minutes
-  max: 50, // limit each IP to 50 requests per windowMs
+const gameActionLimiter = limiter('game-action', () => ({
+  windowMs: config.gameActionRateLimitWindow, // 5 minutes by default
+  max: config.gameActionRateLimitMax, // limit each IP to 50 requests per windowMs by default
   standardHeaders: true,
   legacyHeaders: false,
-  message: "Too many game actions from this IP, please try again after 5 minutes"
-});
+  message: `Too many game actions from this IP, please try again after ${describeWindow(config.gameActionRateLimitWindow)}`
+}));
 
 // Even stricter limiter for create/reset operations
-const createGameLimiter = rateLimit({
-  windowMs: 10 * 60 * 1000, // 10 minutes
-  max: 20, // limit each IP to 20 game creations per windowMs
+const createGameLimiter = limiter('create-game', () => ({
+  windowMs: config.createGameRateLimitWindow, // 10 minutes by default
+  max: config.createGameRateLimitMax, // limit each IP to 20 game creations per windowMs by default
   standardHeaders: true,
   legacyHeaders: false,
   message: "Too many game creation requests, please try again later"
-});
+}));
 
-// Game state storage (in memory for simplicity)
-const games = new Map();
+// Game state storage, persisted on every change
+const games = store.collection('games', { revive: snapshot => BlackjackGame.restore(snapshot) });
 // Active player sessions - track which players have active games
 const activePlayers = new Set();
 // Track completed games to prevent replays
-const completedGames = new Map();
+const completedGames = store.collection('completedGames');
+// Each player's shoe, kept across consecutive rounds
+const shoes = store.collection('shoes', { revive: snapshot => Shoe.restore(snapshot) });
+// Seeds of every shoe shuffle; the server seed is revealed once the shuffle is retired
+const shuffles = store.collection('shuffles');
+// Every finished game with its cards and actions, and each player's running statistics
+const gameHistory = new GameHistory(store.collection('gameHistory'), store.collection('playerStats'), {
+  decimals: LEDGER_DECIMALS
+});
+// Audit log of every finished game keyed by gameId, for replays and disputes
+const gameLogs = store.collection('gameLogs');
+// Multi-seat tables keyed by tableId, removed once the last player leaves
+const tables = store.collection('tables', { revive: snapshot => BlackjackTable.restore(snapshot) });
+// Idle and finished game deadlines, table timers and the periodic jobs, all on one timer
+const scheduler = new Scheduler();
 
-// Function to clean up old completed games to prevent memory leaks
-function cleanupOldCompletedGames() {
-  const twentyFourHoursAgo = Date.now() - 24 * 60 * 60 * 1000;
-  const initialSize = completedGames.size;
-  
-  for (const [gameId, gameData] of completedGames.entries()) {
-    // Remove entries older than 24 hours
-    if (gameData.timestamp < twentyFourHoursAgo) {
-      completedGames.delete(gameId);
-    }
+// Revealed shuffles are kept for a month, and the completed games dealt from them with them
+const SHUFFLE_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+// Retention policies replace the old periodic cleanup functions
+// A completed game's draws are what verify replays, so it expires with its shuffles
+store.retain('completedGames', SHUFFLE_RETENTION, gameData => fairnessRevealedAt(gameData));
+// Only settled payouts expire; pending ones are kept until the worker finishes them
+store.retain('payouts', 7 * 24 * 60 * 60 * 1000, payout =>
+  PAYOUT_FINAL_STATES.includes(payout.status) ? payout.updatedAt : null
+);
+// Game history and audit logs are kept for HISTORY_RETENTION_DAYS, set up by createApp
+// An evicted shoe's shuffle is retired first, so its server seed is revealed
+store.retain('shoes', 7 * 24 * 60 * 60 * 1000, shoe => shoe.lastUsedAt, {
+  onExpire: shoe => retireShuffle(shoe.shuffleId)
+});
+store.retain('adminAudit', 365 * 24 * 60 * 60 * 1000, entry => entry.timestamp);
+// Commitments for shoes that were never dealt from, or have been evicted
+store.retain('serverSeedCommitments', 24 * 60 * 60 * 1000, commitment =>
+  (shoes.has(commitment.shoeId) ? null : commitment.createdAt));
+// Only retired (revealed) shuffles expire; a live shuffle's record is kept for as long as its shoe
+store.retain('shuffles', SHUFFLE_RETENTION, shuffle => shuffle.retiredAt || null);
+// Withdrawals follow their payout; settled ones are kept for a month (the ledger keeps everything)
+store.retain('withdrawals', 30 * 24 * 60 * 60 * 1000, withdrawal =>
+  PAYOUT_FINAL_STATES.includes(withdrawal.status) ? withdrawal.updatedAt : null
+);
+
+// When the last server seed a completed game was dealt from was revealed (or the game
+// ended, if its shuffle records are gone); null while one is still secret
+function fairnessRevealedAt(gameData) {
+  let revealedAt = gameData.timestamp;
+  for (const shuffleId of gameData.fairness ? gameData.fairness.shuffles : []) {
+    const record = shuffles.get(shuffleId);
+    if (!record) continue;
+    if (!record.retiredAt) return null;
+    revealedAt = Math.max(revealedAt, record.retiredAt);
   }
-  
-  const removedCount = initialSize - completedGames.size;
-  console.log(`Memory cleanup: Removed ${removedCount} old completed games. Remaining: ${completedGames.size}`);
+  return revealedAt;
 }
 
-// Clean up old completed games once per day
-setInterval(cleanupOldCompletedGames, 24 * 60 * 60 * 1000);
+// Apply retention policies and compact the log once per hour
+scheduler.every('retention', 60 * 60 * 1000, () => store.applyRetention());
 
-// Also clean up paid rewards that are older than 7 days
-function cleanupOldPaidRewards() {
-  const sevenDaysAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
-  const initialSize = paidRewards.size;
-  let removedCount = 0;
-  
-  for (const [key, status] of paidRewards.entries()) {
-    // Try to extract timestamp from the key format: "accountId-timestamp-randomString"
-    const parts = key.split('-');
-    if (parts.length >= 2) {
-      const timestampPart = parts[1];
-      const timestamp = parseInt(timestampPart, 10);
-      
-      // If timestamp is valid and older than 7 days, delete the entry
-      if (!isNaN(timestamp) && timestamp < sevenDaysAgo) {
-        paidRewards.delete(key);
-        removedCount++;
-      }
+// Remove expired sign-in challenges and sessions
+function cleanupExpiredAuth() {
+  const now = Date.now();
+
+  for (const [nonce, challenge] of authChallenges.entries()) {
+    if (challenge.expiresAt < now) {
+      authChallenges.delete(nonce);
     }
   }
-  
-  console.log(`Memory cleanup: Removed ${removedCount} old paid rewards records. Remaining: ${paidRewards.size}`);
+
+  for (const [token, session] of sessions.entries()) {
+    if (session.expiresAt < now) {
+      sessions.delete(token);
+    }
+  }
+}
+
+// Clean up expired authentication data every 10 minutes
+scheduler.every('auth-cleanup', 10 * 60 * 1000, cleanupExpiredAuth);
+
+// Drop event channels that have been quiet for a day
+scheduler.every('event-prune', 60 * 60 * 1000, () => gameEvents.prune(24 * 60 * 60 * 1000));
+
+// What happens to a game next: an unfinished one times out once it has sat untouched
+// for GAME_IDLE_TIMEOUT, a finished one is evicted from `games` after FINISHED_GAME_TTL
+function scheduleGameExpiry(game) {
+  const { playerId, gameId } = game;
+  const delay = game.completed ? config.finishedGameTtl : config.gameIdleTimeout;
+  scheduler.schedule(`game:${playerId}`, (game.updatedAt || Date.now()) + delay, () => expireGame(playerId, gameId));
+}
+
+function expireGame(playerId, gameId) {
+  const game = games.get(playerId);
+  if (!game || game.gameId !== gameId) return;
+
+  if (game.completed) {
+    games.delete(playerId);
+    activePlayers.delete(playerId);
+    game.logger.info('Evicted finished game');
+    return;
+  }
+
+  // Nothing was wagered yet, so there is nothing to settle
+  if (game.state === 'WAITING_FOR_BET') {
+    games.delete(playerId);
+    activePlayers.delete(playerId);
+    game.logger.info('Dropped idle game without a bet');
+    return;
+  }
+
+  game.logger.info('Game timed out', { action: config.gameIdleAction });
+  game.timeOut(config.gameIdleAction);
 }
 
-// Clean up old paid rewards once per week
-setInterval(cleanupOldPaidRewards, 7 * 24 * 60 * 60 * 1000);
+// Helper function to validate game (or table) state transitions
+function isValidStateTransition(currentState, newState, validStates = VALID_GAME_STATES) {
+  if (!validStates[currentState]) {
+    return false;
+  }
+  return validStates[currentState].includes(newState);
+}
+
+// Message the wallet has to sign to prove ownership
+function buildAuthMessage(playerId, nonce) {
+  return `Sign in to Snapjack\nWallet: ${playerId}\nNonce: ${nonce}`;
+}
 
-// Helper function to validate game state transitions
-function isValidStateTransition(currentState, newState) {
-  if (!VALID_GAME_STATES[currentState]) {
+// Verify an ed25519 signature made by a Solana wallet
+function verifyWalletSignature(playerId, message, signature) {
+  let signatureBytes;
+  try {
+    signatureBytes = bs58.decode(signature);
+  } catch (error) {
+    return false;
+  }
+  if (signatureBytes.length !== 64) {
     return false;
   }
-  return VALID_GAME_STATES[currentState].includes(newState);
+
+  // Solana public keys are raw ed25519 keys, wrap them as a JWK for node's crypto
+  const publicKey = crypto.createPublicKey({
+    key: {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      x: Buffer.from(new PublicKey(playerId).toBytes()).toString('base64url')
+    },
+    format: 'jwk'
+  });
+
+  return crypto.verify(null, Buffer.from(message, 'utf8'), publicKey, Buffer.from(signatureBytes));
+}
+
+// Middleware requiring a valid session token for the player making the request
+function requireSession(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  if (!token) {
+    return res.status(401).json({ error: 'Session token is required' });
+  }
+
+  const session = sessions.get(token);
+  if (!session || session.expiresAt < Date.now()) {
+    sessions.delete(token);
+    return res.status(401).json({ error: 'Session expired or invalid. Please sign in again.' });
+  }
+
+  // The player named in the request (if any) must be the session owner
+  const requestedPlayerId = req.params.playerId || (req.body && req.body.playerId);
+  if (requestedPlayerId && requestedPlayerId !== session.playerId) {
+    req.log.warn('Session used for another player', { playerId: session.playerId, requestedPlayerId });
+    return res.status(403).json({ error: 'Session does not belong to this player' });
+  }
+
+  req.playerId = session.playerId;
+  req.log = req.log.child({ playerId: session.playerId });
+  next();
+}
+
+// EventSource cannot send headers, so event streams also take the session token as ?token=
+function sessionFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+// Stream a channel's events as Server-Sent Events. A client reconnecting with
+// Last-Event-ID (or ?lastEventId=) first gets the events it missed, or a resync
+// event when they are no longer buffered and it should fetch the full state.
+function streamEvents(req, res, channel) {
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  if (lastEventId) {
+    const missed = gameEvents.since(channel, Number(lastEventId));
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      res.write('event: resync\ndata: {}\n\n');
+    }
+  }
+
+  const unsubscribe = gameEvents.subscribe(channel, send);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), EVENT_KEEPALIVE_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
 }
 
 // Function to generate secure game IDs
 function generateSecureId(length = 16) {
   // Character set for ID generation (letters and numbers)
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  const timestamp = Date.now().toString(36);
+  // Ids from a seeded source don't depend on the time, so runs with the same seed produce the same ids
+  let result = random.seeded ? '' : Date.now().toString(36) + '-';
   
-  let result = timestamp + '-';
-  
-  // Generate random characters with increased entropy
+  // Generate random characters from the server's random source (a CSPRNG unless one was injected)
   for (let i = 0; i < length; i++) {
-    // Use Math.random() * 16 as additional entropy
-    const randomIndex = Math.floor(
-      (Math.random() * chars.length) ^ 
-      (Math.floor(Math.random() * 16) << (i % 4))
-    ) % chars.length;
-    
-    result += chars.charAt(randomIndex);
+    result += chars.charAt(random.randomInt(chars.length));
   }
   
   return result;
 }
 
+// Client seeds are optional, but must be short strings when provided
+function isValidClientSeed(clientSeed) {
+  if (clientSeed === undefined || clientSeed === null) {
+    return true;
+  }
+  return typeof clientSeed === 'string' && clientSeed.length > 0 && clientSeed.length <= 64;
+}
+
+// Point value of a single card, aces counted as 11
+function cardValue(card) {
+  if (card.rank === 'A') return 11;
+  if (['K', 'Q', 'J'].includes(card.rank)) return 10;
+  return parseInt(card.rank, 10);
+}
+
+// Outcome of a finished hand against the dealer's final cards
+function determineOutcome(playerScore, dealerScore) {
+  if (playerScore > 21) return 'loss';
+  if (dealerScore > 21 || playerScore > dealerScore) return 'win';
+  if (playerScore === dealerScore) return 'push';
+  return 'loss';
+}
+
+// CARDS returned per CARDS bet for each hand outcome under the given rules
+function outcomeReturnRate(result, rules) {
+  switch (result) {
+    case 'blackjack':
+      return 1 + rules.blackjackPayout;
+    case 'win':
+      return 1 + rules.winPayout;
+    case 'push':
+      return 1;
+    case 'surrender':
+      return 0.5;
+    default:
+      return 0;
+  }
+}
+
+function createHand(cards, bet) {
+  return {
+    cards,
+    bet,
+    doubled: false,
+    fromSplit: false,
+    splitAces: false,
+    surrendered: false,
+    done: false,
+    result: null
+  };
+}
+
+// Best total of a hand; hidden cards don't count
+function handScore(cards) {
+  let score = 0;
+  let aces = 0;
+
+  for (const card of cards) {
+    if (card.hidden) continue;
+    score += cardValue(card);
+    if (card.rank === 'A') aces += 1;
+  }
+
+  while (score > 21 && aces > 0) {
+    score -= 10;
+    aces -= 1;
+  }
+
+  return score;
+}
+
+// A hand is soft when an ace still counts as 11
+function isSoftHand(cards) {
+  let score = 0;
+  let aces = 0;
+
+  for (const card of cards) {
+    if (card.hidden) continue;
+    score += cardValue(card);
+    if (card.rank === 'A') aces += 1;
+  }
+
+  while (score > 21 && aces > 0) {
+    score -= 10;
+    aces -= 1;
+  }
+
+  return aces > 0;
+}
+
+function isNatural(cards) {
+  return cards.length === 2 && cardValue(cards[0]) + cardValue(cards[1]) === 21;
+}
+
+// Finish a hand that busted or reached 21
+function checkHandTotal(hand) {
+  const score = handScore(hand.cards);
+  if (score > 21) {
+    hand.done = true;
+    hand.result = 'loss';
+  } else if (score === 21) {
+    // Nothing to gain from another card; the hand is settled against the dealer
+    hand.done = true;
+  }
+}
+
+// Dealer stands on 17, or hits a soft 17 when the rules say so
+function dealerShouldHit(cards, rules) {
+  const score = handScore(cards);
+  return score < 17 || (score === 17 && rules.dealerHitsSoft17 && isSoftHand(cards));
+}
+
+// Actions a hand in play allows, given how many hands the player has
+function handActions(hand, handCount, rules) {
+  const actions = ['hit', 'stand'];
+  const twoCards = hand.cards.length === 2;
+  const firstDecision = handCount === 1 && twoCards;
+
+  if (twoCards && rules.doubleAllowed) {
+    actions.push('double');
+  }
+  // Pairs of the same rank can be split up to maxSplitHands hands; aces only once
+  if (twoCards && rules.splitAllowed && hand.cards[0].rank === hand.cards[1].rank &&
+      handCount < rules.maxSplitHands && !hand.splitAces) {
+    actions.push('split');
+  }
+  // Late surrender: only offered after the dealer has checked for blackjack
+  if (firstDecision && rules.surrenderAllowed) {
+    actions.push('surrender');
+  }
+
+  return actions;
+}
+
+// Round a CARDS amount to the token's smallest unit
+function roundTokens(amount) {
+  return Math.round(amount * Math.pow(10, LEDGER_DECIMALS)) / Math.pow(10, LEDGER_DECIMALS);
+}
+
+function getBalance(playerId) {
+  return ledger.balance(playerAccount(playerId));
+}
+
+// Most a game started with this bet can pay out: every split hand doubled and won, or a natural, plus insurance
+function maxGameExposure(rules, bet) {
+  const hands = rules.splitAllowed ? rules.maxSplitHands : 1;
+  const handBet = rules.doubleAllowed ? bet * 2 : bet;
+  const handsReturn = hands * handBet * (1 + rules.winPayout);
+  const naturalReturn = bet * (1 + rules.blackjackPayout);
+  const insuranceReturn = rules.insuranceAllowed ? (bet / 2) * 3 : 0;
+  return roundTokens(Math.max(handsReturn, naturalReturn) + insuranceReturn);
+}
+
+// Commit the server seed for the next shuffle of a shoe, unless one already is
+function commitServerSeed(shoeId) {
+  let commitment = serverSeedCommitments.get(shoeId);
+  if (!commitment) {
+    const serverSeed = generateServerSeed(random);
+    commitment = { shoeId, serverSeed, serverSeedHash: hashServerSeed(serverSeed), createdAt: Date.now() };
+    serverSeedCommitments.set(shoeId, commitment);
+  }
+  return commitment;
+}
+
+// Take the server seed committed for a shoe's shuffle. Every shoe is committed to when
+// it is created and after every shuffle, so this always finds an earlier commitment.
+function takeServerSeed(shoeId) {
+  const commitment = commitServerSeed(shoeId);
+  serverSeedCommitments.delete(shoeId);
+  return commitment.serverSeed;
+}
+
+// Shoe consecutive rounds are dealt from: a player's own shoe, or a table's
+function getShoe(shoeId) {
+  let shoe = shoes.get(shoeId);
+  if (!shoe) {
+    shoe = new Shoe({ id: shoeId, deckCount: RULES.deckCount, penetration: RULES.penetration });
+    shoes.set(shoeId, shoe);
+    commitServerSeed(shoeId);
+  }
+  return shoe;
+}
+
+// Retiring a shuffle reveals its server seed, as none of its cards will be dealt any more
+function retireShuffle(shuffleId) {
+  const record = shuffleId && shuffles.get(shuffleId);
+  if (record && !record.retiredAt) {
+    shuffles.set(shuffleId, { ...record, retiredAt: Date.now() });
+  }
+}
+
+// Reshuffle a shoe with its committed server seed, commit the seed for the shuffle after,
+// and return the shuffle event. The nonce is the shoe's shuffle count, fixed before either
+// seed is known, so the server has no free choice left once the client seed is in.
+function shuffleShoe(shoe, rules, clientSeed = null) {
+  retireShuffle(shoe.shuffleId);
+
+  const serverSeed = takeServerSeed(shoe.id);
+  const serverSeedHash = hashServerSeed(serverSeed);
+  const seed = clientSeed || shoe.nextClientSeed || generateClientSeed(random);
+  const shuffleId = generateSecureId();
+  const nonce = shoe.shuffleCount + 1;
+
+  // Pick up rule changes whenever the shoe is rebuilt
+  shoe.deckCount = rules.deckCount;
+  shoe.penetration = rules.penetration;
+  shoe.shuffle(shuffleId, serverSeed, seed, nonce);
+
+  shuffles.set(shuffleId, {
+    shuffleId,
+    shoeId: shoe.id,
+    serverSeed,
+    serverSeedHash,
+    clientSeed: seed,
+    nonce,
+    deckCount: shoe.deckCount,
+    createdAt: Date.now(),
+    retiredAt: null
+  });
+  shoes.set(shoe.id, shoe);
+  const next = commitServerSeed(shoe.id);
+  logger.info('Shoe shuffled', { shoeId: shoe.id, shuffleId });
+
+  return {
+    type: 'shuffle',
+    shuffleId,
+    serverSeedHash,
+    clientSeed: seed,
+    nonce,
+    nextServerSeedHash: next.serverSeedHash,
+    cards: shoe.cards.length,
+    timestamp: Date.now()
+  };
+}
+
+// Hash of the server seed committed for a shoe's next shuffle
+function nextServerSeedHash(shoeId) {
+  const commitment = serverSeedCommitments.get(shoeId);
+  return commitment ? commitment.serverSeedHash : null;
+}
+
+// Public view of a shuffle: the server seed stays hidden until the shuffle is retired
+function describeShuffle(shuffleId) {
+  const record = shuffles.get(shuffleId);
+  if (!record) {
+    return { shuffleId, serverSeedHash: null, clientSeed: null, nonce: null, serverSeed: null };
+  }
+  return {
+    shuffleId,
+    serverSeedHash: record.serverSeedHash,
+    clientSeed: record.clientSeed,
+    nonce: record.nonce,
+    deckCount: record.deckCount,
+    serverSeed: record.retiredAt ? record.serverSeed : null
+  };
+}
+
+// A finished hand as kept in the player's history
+function historyHand(hand) {
+  return {
+    cards: hand.cards.map(({ suit, rank }) => ({ suit, rank })),
+    score: handScore(hand.cards),
+    bet: hand.bet,
+    doubled: hand.doubled,
+    surrendered: hand.surrendered,
+    result: hand.result
+  };
+}
+
 class BlackjackGame {
-  constructor(playerId) {
-    console.log(`Initializing new game for player: ${playerId}`);
+  constructor(playerId, options = {}) {
+    logger.info('Initializing new game', { playerId });
     
     // Validate player has a valid Solana address format
     try {
       new PublicKey(playerId);
     } catch (error) {
-      console.error(`Invalid Solana address format: ${playerId}`);
+      logger.warn('Invalid Solana address format', { playerId });
       throw new Error('Invalid player account. Must be a valid Solana address.');
     }
     
     // Check if player already has an active game
     if (activePlayers.has(playerId)) {
-      console.error(`Player ${playerId} already has an active game`);
+      logger.warn('Player already has an active game', { playerId });
       throw new Error('You already have an active game in progress. Complete or reset that game first.');
     }
     
@@ -225,70 +755,155 @@ class BlackjackGame {
     this.playerId = playerId;
     this.gameId = generateSecureId();
     this.completed = false;
-    this.reset();
+    // Rules in force when the game started
+    this.rules = RULES;
+    this.reset(options.clientSeed);
   }
 
-  reset() {
-    console.log(`Resetting game for player: ${this.playerId}`);
-    this.deck = this.createDeck();
-    this.playerHand = [];
-    this.dealerHand = [];
-    this.state = 'PLAYER_TURN'; // Changed from WAITING_FOR_BET since we already have the bet
-    this.currentBet = ENTRY_FEE; // 3 CARDS
-    this.rewardPaid = false; // Track if reward was paid for this game session
+  reset(clientSeed = null) {
+    this.logger.info('Resetting game');
     this.gameId = generateSecureId();
+    this.log = []; // Audit log of the game: every card, decision, state change and payment, in order
+    this.events = []; // Notable events of the round, such as a shoe shuffle
+    this.shuffleIds = []; // Shuffles the cards of this round came from
+    this.prepareShoe(clientSeed);
+    this.hands = []; // Player hands, more than one after a split
+    this.activeHandIndex = 0; // Hand the player is currently playing
+    this.dealerHand = [];
+    this.insurance = null; // Insurance side bet, if taken
+    this.awaitingInsurance = false; // Dealer shows an ace and the player hasn't decided on insurance
+    this.draws = []; // Where every card from the deck went, used to verify the shuffle
+    this.wagers = []; // The bet, doubles, splits and insurance, with the deposit that funded each
+    this.actions = []; // Every decision the player made, in order
+    this.state = 'WAITING_FOR_BET'; // Cards are dealt once the bet is placed
+    this.currentBet = 0; // Grows with doubles, splits and insurance
+    this.payoutAmount = 0; // CARDS returned to the player once the game is settled
+    this.result = null; // blackjack, win, push or loss once the game is settled
+    this.rewardPaid = false; // Track if winnings were credited for this game session
+    this.payoutStatus = null; // 'credited' once winnings are on the player's balance
     this.completed = false;
-    this.stateHistory = ['PLAYER_TURN']; // Track all state transitions for validation
-    this.dealInitialCards();
-    console.log('Game reset complete:', this.getGameState());
+    this.stateHistory = ['WAITING_FOR_BET']; // Track all state transitions for validation
+    this.save();
+    this.logEvent('state', { from: null, to: 'WAITING_FOR_BET' });
+    this.logger.info('Game reset complete');
   }
 
-  createDeck() {
-    const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-    const ranks = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
-    const deck = [];
-    
-    // Tworzymy 6 talii
-    for (let i = 0; i < 6; i++) {
-        for (const suit of suits) {
-            for (const rank of ranks) {
-                deck.push({ suit, rank, hidden: false });
-            }
-        }
+  // Rebuild a game from its persisted snapshot without dealing new cards
+  static restore(snapshot) {
+    // Games stored before rules profiles existed were played under the defaults
+    const game = Object.assign(Object.create(BlackjackGame.prototype), { rules: RULES, actions: [], log: [] }, snapshot);
+    // Rules added since the game was stored take their current value
+    game.rules = { ...RULES, ...game.rules };
+    return game;
+  }
+
+  // Log lines about this game carry its id and player
+  get logger() {
+    return logger.child({ gameId: this.gameId, playerId: this.playerId });
+  }
+
+  // Append an entry to the game's audit log and send it to clients following the
+  // player's games; they only see the hole card once it is revealed
+  logEvent(type, data = {}) {
+    const entry = { seq: this.log.length + 1, type, ...data, timestamp: Date.now() };
+    this.log.push(entry);
+
+    const published = { ...data };
+    if (published.hidden) {
+      published.card = { hidden: true };
+    }
+    gameEvents.publish(`player:${this.playerId}`, type, { gameId: this.gameId, ...published });
+  }
+
+  // Persist the current game state if this game is the player's stored game,
+  // and the shoe it deals from
+  save() {
+    this.updatedAt = Date.now();
+    if (games.get(this.playerId) === this) {
+      games.set(this.playerId, this);
     }
+    shoes.set(this.playerId, getShoe(this.playerId));
+    scheduleGameExpiry(this);
+  }
 
-    // Fisher-Yates shuffle
-    for (let i = deck.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [deck[i], deck[j]] = [deck[j], deck[i]];
+  // Reshuffle before the round once the cut card is out; otherwise the
+  // client seed is kept for the next shuffle
+  prepareShoe(clientSeed) {
+    const shoe = getShoe(this.playerId);
+    if (shoe.needsShuffle()) {
+      this.recordShuffle(shuffleShoe(shoe, this.rules, clientSeed));
+    } else if (clientSeed) {
+      shoe.nextClientSeed = clientSeed;
     }
+  }
 
-    return deck;
+  createHand(cards, bet) {
+    return createHand(cards, bet);
   }
 
-  calculateScore(hand) {
-    let score = 0;
-    let aces = 0;
+  recordShuffle(event) {
+    this.events.push(event);
+    const { type, timestamp, ...shuffle } = event;
+    this.logEvent('shuffle', shuffle);
+  }
 
-    for (const card of hand) {
-      if (card.hidden) continue;
+  // Take the next card from the shoe and record where it came from and went
+  drawCard(target, handIndex, hidden = false) {
+    const shoe = getShoe(this.playerId);
 
-      if (card.rank === 'A') {
-        aces += 1;
-        score += 11;
-      } else if (['K', 'Q', 'J'].includes(card.rank)) {
-        score += 10;
-      } else {
-        score += parseInt(card.rank, 10);
-      }
+    // Only happens when a round needs more cards than are left behind the cut card
+    if (shoe.isEmpty()) {
+      this.recordShuffle(shuffleShoe(shoe, this.rules));
     }
 
-    while (score > 21 && aces > 0) {
-      score -= 10;
-      aces -= 1;
+    const { card, shuffleId, position } = shoe.draw();
+    if (!this.shuffleIds.includes(shuffleId)) {
+      this.shuffleIds.push(shuffleId);
+    }
+    this.draws.push({
+      ...(target === 'dealer' ? { to: 'dealer' } : { to: 'player', hand: handIndex }),
+      shuffleId,
+      position
+    });
+    this.logEvent('card', {
+      ...(target === 'dealer' ? { to: 'dealer' } : { to: 'player', hand: handIndex }),
+      card: { suit: card.suit, rank: card.rank },
+      hidden,
+      shuffleId,
+      position
+    });
+    return { ...card, hidden };
+  }
+
+  // Turn the hole card over
+  revealDealerHand() {
+    this.dealerHand = this.dealerHand.map(card => ({ ...card, hidden: false }));
+    this.logEvent('reveal', { dealerHand: this.dealerHand.map(({ suit, rank }) => ({ suit, rank })) });
+  }
+
+  activeHand() {
+    return this.hands[this.activeHandIndex];
+  }
+
+  // Add a player decision, with the wager it takes if any, to the game's action and audit logs.
+  // Decisions the server takes for an idle player are marked `auto`.
+  recordAction(action, hand = this.activeHandIndex, details = {}) {
+    if (action === 'bet') {
+      gamesStarted.inc({ mode: 'single' });
+    } else {
+      playerActions.inc({ mode: 'single', action: details.auto ? `auto-${action}` : action });
     }
+    this.actions.push({ action, hand, ...(details.auto && { auto: true }), timestamp: Date.now() });
+    this.logEvent('action', { action, hand, ...details });
+  }
 
-    return score;
+  calculateScore(hand) {
+    return handScore(hand);
+  }
+
+  // A hand is soft when an ace still counts as 11
+  isSoft(hand) {
+    return isSoftHand(hand);
   }
 
   // Helper method to transition between states safely
@@ -297,164 +912,567 @@ class BlackjackGame {
     
     if (!isValidStateTransition(currentState, newState)) {
       const error = new Error(`Invalid state transition from ${currentState} to ${newState}`);
-      console.error(error);
+      this.logger.error('Invalid state transition', { from: currentState, to: newState });
       throw error;
     }
     
     this.state = newState;
     this.stateHistory.push(newState);
+    this.save();
+    this.logEvent('state', { from: currentState, to: newState });
     return this.state;
   }
 
-  async dealInitialCards() {
-    this.playerHand = [
-        this.deck.pop(),
-        this.deck.pop()
+  dealInitialCards() {
+    const playerCards = [
+        this.drawCard('player', 0),
+        this.drawCard('player', 0)
     ];
     this.dealerHand = [
-        this.deck.pop(),
-        { ...this.deck.pop(), hidden: true }
+        this.drawCard('dealer'),
+        this.drawCard('dealer', null, true)
     ];
+    this.hands = [this.createHand(playerCards, this.currentBet)];
+
+    // With an ace showing the player decides on insurance before the dealer peeks
+    if (this.rules.insuranceAllowed && this.dealerHand[0].rank === 'A') {
+      this.awaitingInsurance = true;
+      return;
+    }
+
+    this.resolveInitialHand();
+  }
+
+  isNatural(cards) {
+    return isNatural(cards);
+  }
+
+  // Dealer peeks for blackjack under an ace or ten, then naturals are settled
+  resolveInitialHand() {
+    this.awaitingInsurance = false;
+
+    const hand = this.hands[0];
+    const playerNatural = this.isNatural(hand.cards);
+    const upcardValue = cardValue(this.dealerHand[0]);
+    const dealerNatural = (upcardValue === 11 || upcardValue === 10) && this.isNatural(this.dealerHand);
 
-    // Sprawdzenie czy jest Blackjack na początku
-    const playerScore = this.calculateScore(this.playerHand);
-    if (playerScore === 21) {
-        // Gracz ma 21 - automatyczna wygrana bez sprawdzania kart dealera
-        this.transitionState('GAME_ENDED');
-        this.markGameAsCompleted(true); // Zawsze wygrana gracza przy 21 na start
+    if (this.insurance) {
+      this.insurance.result = dealerNatural ? 'win' : 'loss';
     }
+
+    if (!dealerNatural && !playerNatural) {
+      return;
+    }
+
+    if (dealerNatural) {
+      this.revealDealerHand();
+      hand.result = playerNatural ? 'push' : 'loss';
+    } else {
+      hand.result = 'blackjack';
+    }
+
+    hand.done = true;
+    this.transitionState('GAME_ENDED');
+    this.markGameAsCompleted();
   }
 
-  placeBet(amount) {
+  // Check a bet can be placed before the player's funds are taken
+  checkBet(amount) {
     if (this.state !== 'WAITING_FOR_BET') {
       throw new Error('Cannot place bet at this time');
     }
-    if (amount > this.playerBalance) {
-      throw new Error('Insufficient funds');
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || roundTokens(amount) !== amount) {
+      throw new Error('Invalid bet amount');
     }
+    if (amount < this.rules.minBet || amount > this.rules.maxBet) {
+      throw new Error(`Bet must be between ${this.rules.minBet} and ${this.rules.maxBet} CARDS`);
+    }
+  }
+
+  // Start the round with a bet already taken from the player's balance
+  placeBet(amount, depositSignature = null) {
+    this.checkBet(amount);
 
     this.currentBet = amount;
+    this.wagers.push({ action: 'bet', hand: 0, amount, signature: depositSignature });
+    this.recordAction('bet', 0, { amount, signature: depositSignature });
     this.transitionState('PLAYER_TURN');
+    this.dealInitialCards();
+
+    this.save();
     return this.getGameState();
   }
 
-  async hit() {
-    if (this.state !== 'PLAYER_TURN') {
-        throw new Error('Cannot hit at this time');
+  // Most this game can still pay out; a game waiting for its bet may be played at the table maximum
+  getExposure() {
+    if (this.completed) {
+      return 0;
     }
-    
-    this.playerHand.push(this.deck.pop());
-    const playerScore = this.calculateScore(this.playerHand);
+    const bet = this.wagers.find(wager => wager.action === 'bet');
+    return maxGameExposure(this.rules, bet ? bet.amount : this.rules.maxBet);
+  }
 
-    if (playerScore > 21) {
-        this.transitionState('GAME_ENDED');
-        this.markGameAsCompleted(false); // Player lost
-    } else if (playerScore === 21) {
-        // Gracz ma 21 - automatyczna wygrana bez pokazywania kart dealera
-        this.transitionState('GAME_ENDED');
-        this.markGameAsCompleted(true); // Player won
+  // Actions the player can take on the active hand right now
+  getAvailableActions() {
+    if (this.state === 'WAITING_FOR_BET') {
+      return ['bet'];
     }
 
-    return this.getGameState();
-  }
-
-  async stand() {
-    if (this.state !== 'PLAYER_TURN') {
-      throw new Error('Cannot stand at this time');
+    const hand = this.activeHand();
+    if (this.state !== 'PLAYER_TURN' || !hand || hand.done) {
+      return [];
     }
-    
-    // Validate game is not already completed
-    if (this.completed) {
-      throw new Error('Game is already completed');
+
+    if (this.awaitingInsurance) {
+      return ['insurance', 'decline-insurance'];
     }
-    
-    this.transitionState('DEALER_TURN');
 
-    this.dealerHand = this.dealerHand.map(card => ({ ...card, hidden: false }));
-    let dealerScore = this.calculateScore(this.dealerHand);
+    return handActions(hand, this.hands.length, this.rules);
+  }
 
-    while (dealerScore < 17) {
-      this.dealerHand.push(this.deck.pop());
-      dealerScore = this.calculateScore(this.dealerHand);
+  // Basic-strategy advice for the decision in front of the player, with the expected value
+  // of each option per CARDS of the hand's bet. Only what the player can see goes in:
+  // the active hand and the dealer's upcard, never the hole card.
+  getHint() {
+    const actions = this.getAvailableActions();
+    const upcard = this.dealerHand.find(card => !card.hidden);
+    if (!actions.includes('hit') && !actions.includes('insurance')) {
+      throw new Error('There is no decision to make');
     }
 
-    this.transitionState('GAME_ENDED');
-    const playerScore = this.calculateScore(this.playerHand);
+    const hand = this.activeHand();
+    // Insurance is a side bet, so declining it is worth nothing either way
+    const values = this.awaitingInsurance
+      ? { insurance: insuranceValue({ cards: hand.cards, rules: this.rules }), 'decline-insurance': 0 }
+      : evaluateHand({ cards: hand.cards, upcard, rules: this.rules, actions });
+
+    return {
+      gameId: this.gameId,
+      handIndex: this.activeHandIndex,
+      playerHand: hand.cards,
+      playerScore: this.calculateScore(hand.cards),
+      soft: this.isSoft(hand.cards),
+      dealerUpcard: { suit: upcard.suit, rank: upcard.rank },
+      deckCount: this.rules.deckCount,
+      recommendedAction: bestAction(values),
+      options: Object.entries(values)
+        .map(([action, value]) => ({
+          action,
+          expectedValue: Math.round(value * 10000) / 10000,
+          expectedCards: roundTokens(value * hand.bet)
+        }))
+        .sort((a, b) => b.expectedValue - a.expectedValue)
+    };
+  }
+
+  // Additional wager (in CARDS) an action requires
+  getActionCost(action) {
+    switch (action) {
+      case 'double':
+      case 'split':
+        return this.activeHand().bet;
+      case 'insurance':
+        return this.hands[0].bet / 2;
+      default:
+        return 0;
+    }
+  }
+
+  // Finish a hand that busted or reached 21
+  checkHandTotal(hand) {
+    checkHandTotal(hand);
+  }
+
+  // Move to the next unfinished hand, dealing the second card to split hands,
+  // and hand over to the dealer once every hand is finished
+  advanceHand() {
+    while (this.activeHandIndex < this.hands.length) {
+      const hand = this.activeHand();
+
+      if (!hand.done && hand.cards.length === 1) {
+        hand.cards.push(this.drawCard('player', this.activeHandIndex));
+        // Split aces get exactly one more card
+        if (hand.splitAces) {
+          hand.done = true;
+        }
+        this.checkHandTotal(hand);
+      }
+
+      if (!hand.done) {
+        return;
+      }
+      this.activeHandIndex += 1;
+    }
+
+    this.finishPlayerTurn();
+  }
 
-    // Determine winner and update balance
-    let playerWon = false;
+  async hit() {
+    if (!this.getAvailableActions().includes('hit')) {
+        throw new Error('Cannot hit at this time');
+    }
+    this.recordAction('hit');
     
-    if (playerScore > 21) {
-      // Player busts - do nothing, player already lost bet
-      playerWon = false;
-    } else if (dealerScore > 21 || playerScore > dealerScore) {
-      playerWon = true;
-    } else {
-      // Dealer wins on tie
-      playerWon = false;
+    const hand = this.activeHand();
+    hand.cards.push(this.drawCard('player', this.activeHandIndex));
+    this.checkHandTotal(hand);
+
+    if (hand.done) {
+      this.advanceHand();
+    }
+
+    this.save();
+    return this.getGameState();
+  }
+
+  async stand() {
+    if (!this.getAvailableActions().includes('stand')) {
+      throw new Error('Cannot stand at this time');
     }
+    this.recordAction('stand');
     
-    // Mark game as completed with result
-    this.markGameAsCompleted(playerWon);
+    // Validate game is not already completed
+    if (this.completed) {
+      throw new Error('Game is already completed');
+    }
+    
+    this.activeHand().done = true;
+    this.advanceHand();
+
+    this.save();
+    return this.getGameState();
+  }
+
+  async doubleDown(signature) {
+    if (!this.getAvailableActions().includes('double')) {
+      throw new Error('Cannot double down at this time');
+    }
+    this.recordAction('double', this.activeHandIndex, { amount: this.getActionCost('double'), signature });
+
+    const hand = this.activeHand();
+    const amount = hand.bet;
+    this.wagers.push({ action: 'double', hand: this.activeHandIndex, amount, signature });
+    this.currentBet += amount;
+    hand.bet += amount;
+    hand.doubled = true;
+
+    // A doubled hand gets exactly one more card
+    hand.cards.push(this.drawCard('player', this.activeHandIndex));
+    this.checkHandTotal(hand);
+    hand.done = true;
+    this.advanceHand();
+
+    this.save();
+    return this.getGameState();
+  }
+
+  async split(signature) {
+    if (!this.getAvailableActions().includes('split')) {
+      throw new Error('Cannot split at this time');
+    }
+    this.recordAction('split', this.activeHandIndex, { amount: this.getActionCost('split'), signature });
+
+    const index = this.activeHandIndex;
+    const hand = this.activeHand();
+    const [first, second] = hand.cards;
+    const newHand = this.createHand([second], hand.bet);
+
+    hand.cards = [first];
+    hand.fromSplit = true;
+    newHand.fromSplit = true;
+    hand.splitAces = newHand.splitAces = first.rank === 'A';
+    this.hands.splice(index + 1, 0, newHand);
+    this.draws.push({ split: index });
+
+    this.wagers.push({ action: 'split', hand: index, amount: hand.bet, signature });
+    this.currentBet += hand.bet;
+
+    // Deals the second card to the first split hand
+    this.advanceHand();
+
+    this.save();
+    return this.getGameState();
+  }
+
+  async surrender() {
+    if (!this.getAvailableActions().includes('surrender')) {
+      throw new Error('Cannot surrender at this time');
+    }
+    this.recordAction('surrender');
+
+    const hand = this.activeHand();
+    hand.surrendered = true;
+    hand.done = true;
+    hand.result = 'surrender';
+    this.advanceHand();
+
+    this.save();
+    return this.getGameState();
+  }
+
+  async takeInsurance(signature) {
+    if (!this.getAvailableActions().includes('insurance')) {
+      throw new Error('Insurance is not available');
+    }
+    this.recordAction('insurance', 0, { amount: this.getActionCost('insurance'), signature });
 
+    const amount = this.getActionCost('insurance');
+    this.insurance = { bet: amount, signature, result: null };
+    this.wagers.push({ action: 'insurance', hand: 0, amount, signature });
+    this.currentBet += amount;
+    this.resolveInitialHand();
+
+    this.save();
+    return this.getGameState();
+  }
+
+  async declineInsurance() {
+    if (!this.getAvailableActions().includes('decline-insurance')) {
+      throw new Error('Insurance is not being offered');
+    }
+    this.recordAction('decline-insurance');
+
+    this.resolveInitialHand();
+
+    this.save();
     return this.getGameState();
   }
+
+  // The player stopped acting: insurance is declined, then the hands left to play
+  // stand, or are forfeited as lost, and the game is settled as usual
+  timeOut(action) {
+    if (this.state !== 'PLAYER_TURN' || this.completed) {
+      throw new Error('Only a game in the player\'s turn can time out');
+    }
+
+    if (this.awaitingInsurance) {
+      this.recordAction('decline-insurance', 0, { auto: true });
+      this.resolveInitialHand();
+    }
+
+    while (!this.completed && this.activeHandIndex < this.hands.length) {
+      const hand = this.activeHand();
+      this.recordAction(action, this.activeHandIndex, { auto: true });
+      if (action === 'forfeit') {
+        hand.result = 'loss';
+        hand.forfeited = true;
+      }
+      hand.done = true;
+      this.advanceHand();
+    }
+
+    this.save();
+  }
+
+  // Cancel an unfinished game and return everything wagered on it (admin only).
+  // A void can end a game from any state, so it skips the usual transitions.
+  voidGame(reason) {
+    if (this.completed) {
+      throw new Error('Game is already completed');
+    }
+
+    const refund = roundTokens(this.currentBet);
+    if (refund > 0) {
+      ledger.transfer({
+        id: `void:${this.gameId}`,
+        type: 'void',
+        from: HOUSE_ACCOUNT,
+        to: playerAccount(this.playerId),
+        amount: refund,
+        reference: this.gameId
+      });
+    }
+
+    this.completed = true;
+    this.result = 'void';
+    this.payoutAmount = refund;
+    this.payoutStatus = refund > 0 ? 'credited' : null;
+    this.awaitingInsurance = false;
+    this.dealerHand = this.dealerHand.map(card => ({ ...card, hidden: false }));
+    this.state = 'GAME_ENDED';
+    this.stateHistory.push('GAME_ENDED');
+    this.logEvent('void', { reason, refund, balance: getBalance(this.playerId) });
+    countFinishedGame('single', 'void', this.currentBet, refund);
+
+    const shoe = getShoe(this.playerId);
+    shoe.discard(this.draws.filter(draw => draw.shuffleId === shoe.shuffleId).length);
+
+    // Kept out of the player's history and stats, but the deal stays verifiable
+    completedGames.set(this.gameId, {
+      playerId: this.playerId,
+      result: 'void',
+      hands: this.hands.map(hand => ({ bet: hand.bet, result: hand.result })),
+      totalBet: this.currentBet,
+      payoutAmount: refund,
+      wagers: this.wagers,
+      fairness: {
+        shuffles: this.shuffleIds,
+        draws: this.draws,
+        playerHands: this.hands.map(hand => hand.cards.map(({ suit, rank }) => ({ suit, rank }))),
+        dealerHand: this.dealerHand.map(({ suit, rank }) => ({ suit, rank }))
+      },
+      payoutStatus: this.payoutStatus,
+      timestamp: Date.now()
+    });
+    gameLogs.set(this.gameId, {
+      gameId: this.gameId,
+      playerId: this.playerId,
+      tableId: null,
+      seat: null,
+      log: this.log,
+      timestamp: Date.now()
+    });
+
+    this.save();
+    activePlayers.delete(this.playerId);
+  }
+
+  // Dealer plays once every hand is finished, then all hands are settled
+  finishPlayerTurn() {
+    const liveHands = this.hands.filter(hand => hand.result === null);
+
+    // Nothing depends on the dealer's cards when every hand busted or surrendered
+    if (liveHands.length === 0) {
+      this.transitionState('GAME_ENDED');
+      this.markGameAsCompleted();
+      return;
+    }
+
+    this.transitionState('DEALER_TURN');
+
+    this.revealDealerHand();
+    while (dealerShouldHit(this.dealerHand, this.rules)) {
+      this.dealerHand.push(this.drawCard('dealer'));
+    }
+    const dealerScore = this.calculateScore(this.dealerHand);
+
+    this.transitionState('GAME_ENDED');
+
+    // The dealer has already been checked for blackjack, so totals decide
+    for (const hand of liveHands) {
+      hand.result = determineOutcome(this.calculateScore(hand.cards), dealerScore);
+    }
+
+    this.markGameAsCompleted();
+  }
+
+  // CARDS returned for a settled hand
+  handReturn(hand) {
+    return hand.bet * outcomeReturnRate(hand.result, this.rules);
+  }
+
+  calculatePayout() {
+    let total = this.hands.reduce((sum, hand) => sum + this.handReturn(hand), 0);
+    // Insurance pays 2:1 plus the stake
+    if (this.insurance && this.insurance.result === 'win') {
+      total += this.insurance.bet * 3;
+    }
+    return roundTokens(total);
+  }
   
   // New helper method to mark game as completed
-  markGameAsCompleted(playerWon) {
+  markGameAsCompleted() {
     if (this.completed) return; // Prevent multiple calls
     
     this.completed = true;
+    this.payoutAmount = this.calculatePayout();
+    this.result = this.getOverallResult();
+    countFinishedGame('single', this.result, this.currentBet, this.payoutAmount);
+
+    // Winnings go straight to the player's balance
+    if (this.payoutAmount > 0) {
+      ledger.transfer({
+        id: `payout:${this.gameId}`,
+        type: 'payout',
+        from: HOUSE_ACCOUNT,
+        to: playerAccount(this.playerId),
+        amount: this.payoutAmount,
+        reference: this.gameId
+      });
+      this.payoutStatus = 'credited';
+      this.rewardPaid = true;
+    }
+
+    // Cards of this round go to the discard tray
+    const shoe = getShoe(this.playerId);
+    shoe.discard(this.draws.filter(draw => draw.shuffleId === shoe.shuffleId).length);
     
     // Store game completion status
     completedGames.set(this.gameId, {
       playerId: this.playerId,
-      result: playerWon ? 'win' : 'loss',
-      timestamp: Date.now(),
-      processed: false
+      result: this.result,
+      hands: this.hands.map(hand => ({ bet: hand.bet, result: hand.result })),
+      insurance: this.insurance && { bet: this.insurance.bet, result: this.insurance.result },
+      totalBet: this.currentBet,
+      payoutAmount: this.payoutAmount,
+      wagers: this.wagers,
+      // Everything needed to verify the deal once the shuffles are retired
+      fairness: {
+        shuffles: this.shuffleIds,
+        draws: this.draws,
+        playerHands: this.hands.map(hand => hand.cards.map(({ suit, rank }) => ({ suit, rank }))),
+        dealerHand: this.dealerHand.map(({ suit, rank }) => ({ suit, rank }))
+      },
+      payoutStatus: this.payoutStatus,
+      timestamp: Date.now()
     });
-    
-    // Process reward if player won (but don't await to prevent blocking)
-    if (playerWon) {
-      this.processReward().catch(error => {
-        console.error(`Failed to process reward for game ${this.gameId}:`, error);
-      });
+    gameHistory.record({
+      gameId: this.gameId,
+      playerId: this.playerId,
+      tableId: null,
+      seat: null,
+      result: this.result,
+      hands: this.hands.map(historyHand),
+      dealerHand: this.dealerHand.map(({ suit, rank }) => ({ suit, rank })),
+      insurance: this.insurance && { bet: this.insurance.bet, result: this.insurance.result },
+      actions: this.actions,
+      wagers: this.wagers,
+      totalBet: this.currentBet,
+      payoutAmount: this.payoutAmount,
+      payoutStatus: this.payoutStatus,
+      timestamp: Date.now()
+    });
+    this.logEvent('result', {
+      result: this.result,
+      hands: this.hands.map(hand => ({ bet: hand.bet, result: hand.result })),
+      insurance: this.insurance && { bet: this.insurance.bet, result: this.insurance.result },
+      totalBet: this.currentBet,
+      payoutAmount: this.payoutAmount,
+      payoutStatus: this.payoutStatus,
+      balance: getBalance(this.playerId)
+    });
+    if (this.payoutAmount > 0) {
+      this.logEvent('payout', { transactionId: `payout:${this.gameId}`, amount: this.payoutAmount, to: 'balance' });
     }
+    gameLogs.set(this.gameId, {
+      gameId: this.gameId,
+      playerId: this.playerId,
+      tableId: null,
+      seat: null,
+      log: this.log,
+      timestamp: Date.now()
+    });
+    this.save();
     
-    // Remove player from active games after a delay to prevent race conditions
-    setTimeout(() => {
-      activePlayers.delete(this.playerId);
-      console.log(`Player ${this.playerId} removed from active players`);
-    }, 5000); // 5 second delay
+    // Remove player from active games after a delay to prevent race conditions,
+    // unless they have started another game since
+    scheduler.schedule(`release:${this.playerId}`, Date.now() + ACTIVE_RELEASE_DELAY, () => {
+      const current = games.get(this.playerId);
+      if (!current || current.completed) {
+        activePlayers.delete(this.playerId);
+        this.logger.info('Player removed from active players');
+      }
+    });
   }
-  
-  // Process reward asynchronously
-  async processReward() {
-    // Check if we've already processed this game
-    const gameCompletion = completedGames.get(this.gameId);
-    if (!gameCompletion || gameCompletion.processed) {
-      console.log(`Game ${this.gameId} already processed or not found`);
-      return;
-    }
-    
-    try {
-      // Mark as processing to prevent race conditions
-      gameCompletion.processed = true;
-      completedGames.set(this.gameId, gameCompletion);
-      
-      // Send reward
-      await sendCardsReward(this.playerId, this.gameId);
-      this.rewardPaid = true;
-      
-      console.log(`Successfully processed reward for game ${this.gameId}`);
-    } catch (error) {
-      // Mark as not processed so we can retry
-      gameCompletion.processed = false;
-      completedGames.set(this.gameId, gameCompletion);
-      
-      console.error(`Error processing reward for game ${this.gameId}:`, error);
-      throw error;
+
+  // Game result: blackjack for a natural, otherwise win, push or loss by what came back
+  getOverallResult() {
+    if (this.hands.length === 1 && this.hands[0].result === 'blackjack') {
+      return 'blackjack';
     }
+    if (this.payoutAmount > this.currentBet) return 'win';
+    if (this.payoutAmount === this.currentBet) return 'push';
+    return 'loss';
   }
 
   getGameState() {
@@ -467,271 +1485,1999 @@ class BlackjackGame {
       return card;
     });
 
+    // The active hand, or the last one once all hands are played (none before the bet)
+    const currentHand = this.activeHand() || this.hands[this.hands.length - 1];
+    const currentCards = currentHand ? currentHand.cards : [];
+
     const state = {
-      playerHand: this.playerHand,
+      hands: this.hands.map(hand => ({
+        cards: hand.cards,
+        bet: hand.bet,
+        score: this.calculateScore(hand.cards),
+        doubled: hand.doubled,
+        fromSplit: hand.fromSplit,
+        surrendered: hand.surrendered,
+        result: hand.result
+      })),
+      activeHandIndex: this.activeHandIndex,
+      playerHand: currentCards,
       dealerHand: filteredDealerHand,
       state: this.state,
       currentBet: this.currentBet,
-      playerScore: this.calculateScore(this.playerHand),
+      insurance: this.insurance && { bet: this.insurance.bet, result: this.insurance.result },
+      availableActions: this.getAvailableActions(),
+      playerScore: this.calculateScore(currentCards),
       dealerScore: this.calculateScore(this.dealerHand.filter(card => !card.hidden)),
       message: this.getMessage(),
       gameId: this.gameId,
+      fairness: {
+        // Server seeds are revealed once the shoe is reshuffled
+        shuffles: this.shuffleIds.map(describeShuffle),
+        nextServerSeedHash: nextServerSeedHash(this.playerId)
+      },
+      shoe: getShoe(this.playerId).getState(),
+      events: this.events,
+      result: this.completed ? this.result : null,
+      payoutAmount: this.payoutAmount,
+      rules: this.rules,
+      balance: getBalance(this.playerId),
       rewardPaid: this.rewardPaid,
+      payoutStatus: this.payoutStatus,
       completed: this.completed
     };
-    console.log(`Current game state for ${this.playerId}:`, state);
     return state;
   }
 
   getMessage() {
-    const playerScore = this.calculateScore(this.playerHand);
-    const dealerScore = this.calculateScore(this.dealerHand);
-
     switch (this.state) {
       case 'WAITING_FOR_BET':
         return 'Place your bet to start the game';
       case 'PLAYER_TURN':
+        if (this.awaitingInsurance) {
+          return 'Dealer shows an ace. Take insurance?';
+        }
+        if (this.hands.length > 1) {
+          return `Hand ${this.activeHandIndex + 1}: Hit or Stand?`;
+        }
         return 'Your turn! Hit or Stand?';
       case 'DEALER_TURN':
         return 'Dealer\'s turn...';
-      case 'GAME_ENDED':
-        if (playerScore > 21) return 'Bust! You lost!';
-        if (playerScore === 21) return 'Perfect 21! You win!';
-        if (dealerScore > 21) return 'Dealer busts! You win!';
-        if (playerScore > dealerScore) return 'You win!';
-        return 'You lost!';
+      case 'GAME_ENDED': {
+        if (this.hands.length > 1) {
+          return 'Results: ' + this.hands.map((hand, i) => `hand ${i + 1} ${hand.result}`).join(', ');
+        }
+
+        const hand = this.hands[0];
+        const playerScore = this.calculateScore(hand.cards);
+        const dealerScore = this.calculateScore(this.dealerHand);
+        const dealerNatural = this.isNatural(this.dealerHand);
+
+        switch (hand.result) {
+          case 'surrender':
+            return 'You surrendered. Half of your bet is returned.';
+          case 'blackjack':
+            return 'Blackjack! You win!';
+          case 'push':
+            if (dealerNatural) return 'Both have blackjack. Push!';
+            return 'Push! Your bet is returned.';
+          case 'win':
+            if (dealerScore > 21) return 'Dealer busts! You win!';
+            return 'You win!';
+          default:
+            if (playerScore > 21) return 'Bust! You lost!';
+            if (dealerNatural) return 'Dealer has blackjack! You lost!';
+            return 'You lost!';
+        }
+      }
       default:
         return 'Error occurred';
     }
   }
 }
 
-// Helper function to send CARDS token reward
-async function sendCardsReward(receiverAddress, gameId) {
-  // Validate receiver address is a valid Solana public key
-  let receiverPublicKey;
-  try {
-    receiverPublicKey = new PublicKey(receiverAddress);
-  } catch (error) {
-    console.error(`Invalid Solana address: ${receiverAddress}`);
-    throw new Error('Invalid Solana address format');
+// Table where several wallets each play their own seat against one dealer hand,
+// all dealt from the table's shoe. Seats act in turn order, each with a turn timer,
+// and the dealer plays once every seat has finished. Insurance is not offered.
+class BlackjackTable {
+  constructor({ name, seatCount }) {
+    this.tableId = generateSecureId();
+    this.name = name || `Table ${this.tableId.slice(-4)}`;
+    // Rules in force when the table opened
+    this.rules = { ...RULES, insuranceAllowed: false };
+    this.seats = new Array(seatCount).fill(null); // null for an empty seat
+    this.state = 'WAITING_FOR_BETS';
+    this.roundCount = 0;
+    this.createdAt = Date.now();
+    this.newRound();
   }
-  
-  // Create a unique transaction ID combining player ID and game session
-  const transactionKey = `${receiverAddress}-${gameId}`;
-  
-  try {
-    // Check if this reward was already paid
-    if (paidRewards.has(transactionKey)) {
-      console.log(`Reward already paid for transaction ${transactionKey}, skipping duplicate payment`);
-      return null;
+
+  // Rebuild a table from its persisted snapshot; timers are armed again at startup
+  static restore(snapshot) {
+    const table = Object.assign(Object.create(BlackjackTable.prototype), snapshot);
+    table.rules = { ...RULES, ...table.rules, insuranceAllowed: false };
+    return table;
+  }
+
+  get shoeId() {
+    return `table:${this.tableId}`;
+  }
+
+  // Log lines about this table carry its id and current round
+  get logger() {
+    return logger.child({ tableId: this.tableId, roundId: this.roundId });
+  }
+
+  // Append an entry to the round's audit log and send it to clients following the
+  // table; they only see the hole card once it is revealed
+  logEvent(type, data = {}) {
+    const entry = { seq: this.log.length + 1, type, ...data, timestamp: Date.now() };
+    this.log.push(entry);
+
+    const published = { ...data };
+    if (published.hidden) {
+      published.card = { hidden: true };
     }
-    
-    // Mark as pending before sending to prevent race conditions
-    paidRewards.set(transactionKey, 'pending');
-    
-    // Get token accounts
-    const treasuryTokenAccount = await getAssociatedTokenAddress(
-      new PublicKey(CARDS_TOKEN_MINT),
-      treasuryKeypair.publicKey,
-      false,
-      TOKEN_EXTENSIONS_PROGRAM_ID
-    );
-    
-    const receiverTokenAccount = await getAssociatedTokenAddress(
-      new PublicKey(CARDS_TOKEN_MINT),
-      receiverPublicKey,
-      false,
-      TOKEN_EXTENSIONS_PROGRAM_ID
-    );
-    
-    // Check if receiver token account exists
-    const receiverTokenAccountInfo = await connection.getAccountInfo(receiverTokenAccount);
-    if (!receiverTokenAccountInfo) {
-      console.error('Receiver does not have a token account for CARDS');
-      throw new Error('Receiver needs to create a CARDS token account first');
+    gameEvents.publish(`table:${this.tableId}`, type, { roundId: this.roundId, ...published });
+  }
+
+  // Persist the table and the shoe it deals from
+  save() {
+    this.updatedAt = Date.now();
+    if (tables.get(this.tableId) === this) {
+      tables.set(this.tableId, this);
+    }
+    const shoe = shoes.get(this.shoeId);
+    if (shoe) {
+      shoes.set(this.shoeId, shoe);
     }
-    
-    // Create transaction to send tokens
-    const transaction = new Transaction();
-    
-    // Calculate token amount with decimals (assuming 9 decimals for CARDS token)
-    const tokenAmount = REWARD_AMOUNT * Math.pow(10, 9); // 9 decimals
-    
-    // Add token transfer instruction
-    transaction.add(
-      createTransferInstruction(
-        treasuryTokenAccount,      // source
-        receiverTokenAccount,      // destination
-        treasuryKeypair.publicKey, // owner
-        tokenAmount,               // amount with decimals
-        [],                        // multisigners
-        TOKEN_EXTENSIONS_PROGRAM_ID // programId
-      )
-    );
-    
-    // Set recent blockhash and fee payer
-    transaction.recentBlockhash = (await connection.getRecentBlockhash()).blockhash;
-    transaction.feePayer = treasuryKeypair.publicKey;
-    
-    // Sign and send transaction
-    transaction.sign(treasuryKeypair);
-    const signature = await connection.sendRawTransaction(transaction.serialize(), {
-      skipPreflight: true,
-      maxRetries: 5
-    });
-    
-    // For devnet, we don't need to wait for confirmation - transactions are generally confirmed if accepted
-    // Mark as completed after successful transaction submission
-    paidRewards.set(transactionKey, 'completed');
-    
-    console.log(`Successfully sent ${REWARD_AMOUNT} CARDS to ${receiverAddress} for game ${gameId}, signature: ${signature}`);
-    return signature;
-  } catch (error) {
-    // On error, mark transaction as failed but still tracked to prevent retries
-    paidRewards.set(transactionKey, 'failed');
-    console.error('Failed to send CARDS:', error);
-    throw error;
   }
-}
 
-// Apply API rate limiting to all endpoints
-app.use('/api/', apiLimiter);
+  transitionState(newState) {
+    const currentState = this.state;
+    if (!isValidStateTransition(currentState, newState, VALID_TABLE_STATES)) {
+      const error = new Error(`Invalid table state transition from ${currentState} to ${newState}`);
+      this.logger.error('Invalid table state transition', { from: currentState, to: newState });
+      throw error;
+    }
 
-// API Endpoints
-app.post('/api/game/create', createGameLimiter, async (req, res) => {
-  const { playerId, entryFeePaid } = req.body;
-  console.log('Received create game request for player:', playerId);
+    this.state = newState;
+    this.save();
+    this.logEvent('state', { from: currentState, to: newState });
+    return this.state;
+  }
 
-  if (!playerId) {
-    console.error('No player ID provided');
-    return res.status(400).json({ error: 'Player ID is required' });
+  // Clear the last round and take bets for the next one
+  newRound() {
+    if (this.state === 'ROUND_ENDED') {
+      this.transitionState('WAITING_FOR_BETS');
+    }
+    this.roundId = generateSecureId();
+    this.log = []; // Audit log of the round, in order
+    this.dealerHand = [];
+    this.draws = []; // Where every card from the shoe went, used to verify the shuffle
+    this.shuffleIds = []; // Shuffles the cards of this round came from
+    this.events = []; // Notable events of the round, such as a shoe shuffle
+    this.bettingEndsAt = null; // Set by the first bet; the round is dealt then at the latest
+    this.turnSeat = null; // Seat whose turn it is
+    this.turnExpiresAt = null; // The seat stands once this passes
+    for (const seat of this.seats) {
+      if (seat) {
+        this.resetSeat(seat);
+      }
+    }
   }
 
-  // Add input validation
-  try {
-    new PublicKey(playerId);
-  } catch (error) {
-    console.error(`Invalid Solana address format: ${playerId}`);
-    return res.status(400).json({ error: 'Invalid player ID format. Must be a valid Solana address.' });
+  resetSeat(seat) {
+    seat.bet = 0; // 0 while the seat sits the round out
+    seat.hands = [];
+    seat.activeHandIndex = 0;
+    seat.wagers = [];
+    seat.actions = []; // Every decision made on the seat this round, in order
+    seat.payoutAmount = 0;
+    seat.result = null;
   }
 
-  // Check if entry fee is paid
-  if (!entryFeePaid) {
-    console.error(`Entry fee not paid for player: ${playerId}`);
-    return res.status(400).json({ error: 'Entry fee must be paid before creating a game' });
+  // Each seat's round is settled and recorded as a game of its own
+  seatGameId(seat) {
+    return `${this.roundId}-${seat.seat}`;
   }
 
-  // Check if player already has an active game
-  if (activePlayers.has(playerId)) {
-    console.log(`Player ${playerId} already has an active game, returning current game state`);
-    const game = games.get(playerId);
-    if (game) {
-      return res.json(game.getGameState());
-    } else {
-      // This shouldn't happen, but just in case
-      activePlayers.delete(playerId);
-    }
+  findSeat(playerId) {
+    return this.seats.find(seat => seat && seat.playerId === playerId) || null;
   }
 
-  try {
-    const game = new BlackjackGame(playerId);
-    games.set(playerId, game);
-    const gameState = await game.getGameState();
-    console.log('Game created successfully:', gameState);
-    res.json(gameState);
-  } catch (error) {
-    console.error('Error creating game:', error);
-    res.status(500).json({ error: 'Failed to create game', details: error.message });
+  occupiedSeats() {
+    return this.seats.filter(Boolean);
+  }
+
+  // Seats with a bet in the current round, in turn order
+  seatsInRound() {
+    return this.seats.filter(seat => seat && seat.bet > 0);
   }
-});
 
-// Endpoint testowy do wymuszania wygranej - TYLKO DO CELÓW TESTOWYCH
-// Only available in development environment
-if (process.env.NODE_ENV !== 'production') {
-  app.post('/api/game/test/force-win', async (req, res) => {
-    const { playerId, playerCards, dealerCards } = req.body;
-    console.log('Received force win request for player:', playerId);
+  // Sit a player at the given seat, or the first free one
+  join(playerId, seatIndex = null) {
+    try {
+      new PublicKey(playerId);
+    } catch (error) {
+      throw new Error('Invalid player account. Must be a valid Solana address.');
+    }
 
-    if (!playerId) {
-      console.error('No player ID provided');
-      return res.status(400).json({ error: 'Player ID is required' });
+    if (this.findSeat(playerId)) {
+      throw new Error('You are already seated at this table');
+    }
+    if (findPlayerTable(playerId)) {
+      throw new Error('You are already seated at another table');
     }
 
-    try {
-      // Pobierz lub utwórz grę dla gracza
-      let game = games.get(playerId);
-      if (!game) {
-        // Upewnij się, że gracz nie jest oznaczony jako aktywny
-        activePlayers.delete(playerId);
-        
-        game = new BlackjackGame(playerId);
-        games.set(playerId, game);
-      }
-      
-      // Ustaw karty gracza i krupiera
-      if (playerCards) {
-        game.playerHand = playerCards;
-      }
-      
-      if (dealerCards) {
-        game.dealerHand = dealerCards;
+    if (seatIndex === null) {
+      seatIndex = this.seats.indexOf(null);
+      if (seatIndex === -1) {
+        throw new Error('Table is full');
       }
-      
-      // Ustaw stan gry na zakończony z wygraną gracza
-      game.state = 'GAME_ENDED';
-      game.stateHistory.push('GAME_ENDED');
-      
-      // Sprawdź czy faktycznie gracz wygrywa
-      const playerScore = game.calculateScore(game.playerHand);
-      const dealerScore = game.calculateScore(game.dealerHand);
-      
-      const playerWins = (dealerScore > 21) || (playerScore <= 21 && playerScore > dealerScore);
-      
-      // Wykorzystaj nowy system oznaczania zakończonej gry
-      game.markGameAsCompleted(playerWins);
-      
-      const gameState = game.getGameState();
-      res.json(gameState);
-    } catch (error) {
-      console.error('Error forcing win:', error);
-      res.status(500).json({ error: 'Failed to force win', details: error.message });
+    } else if (!Number.isInteger(seatIndex) || seatIndex < 0 || seatIndex >= this.seats.length) {
+      throw new Error(`Seat must be between 0 and ${this.seats.length - 1}`);
+    } else if (this.seats[seatIndex]) {
+      throw new Error('Seat is taken');
     }
-  });
-} else {
-  // In production, return 404 for this endpoint
-  app.post('/api/game/test/force-win', (req, res) => {
-    res.status(404).json({ error: 'Endpoint not found' });
-  });
-}
 
-app.post('/api/game/bet', gameActionLimiter, async (req, res) => {
-  const { playerId, amount } = req.body;
-  const game = games.get(playerId);
+    const seat = { seat: seatIndex, playerId, joinedAt: Date.now(), leaving: false };
+    this.resetSeat(seat);
+    this.seats[seatIndex] = seat;
+    this.logger.info('Player joined table', { playerId, seat: seatIndex });
+    this.logEvent('seat', { seat: seatIndex, playerId, action: 'join' });
 
-  if (!game) {
-    return res.status(404).json({ error: 'Game not found' });
-  }
-  
-  // Validate input
-  if (typeof amount !== 'number' || amount <= 0) {
-    return res.status(400).json({ error: 'Invalid bet amount' });
+    this.save();
+    this.scheduleTimer();
+    return seat;
   }
 
-  try {
-    const state = await game.placeBet(amount);
-    res.json(state);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
-  }
-});
+  // A seat without a bet in play is freed at once, refunding a bet placed for the
+  // next round. A seat still in the round stands and is freed once it is settled.
+  leave(playerId) {
+    const seat = this.findSeat(playerId);
+    if (!seat) {
+      throw new Error('You are not seated at this table');
+    }
 
-app.post('/api/game/hit', gameActionLimiter, async (req, res) => {
-  const { playerId } = req.body;
-  const game = games.get(playerId);
+    if (seat.bet > 0 && (this.state === 'PLAYER_TURN' || this.state === 'DEALER_TURN')) {
+      seat.leaving = true;
+      this.logger.info('Player is leaving table after this round', { playerId, seat: seat.seat });
+      this.logEvent('seat', { seat: seat.seat, playerId, action: 'leaving' });
+      if (this.state === 'PLAYER_TURN' && this.turnSeat === seat.seat) {
+        this.standSeat(seat);
+      }
+      this.save();
+      return;
+    }
 
-  if (!game) {
-    return res.status(404).json({ error: 'Game not found' });
+    if (this.state === 'WAITING_FOR_BETS' && seat.bet > 0) {
+      refundWager(playerId, seat.bet, this.seatGameId(seat));
+    }
+    this.seats[seat.seat] = null;
+    this.logger.info('Player left table', { playerId, seat: seat.seat });
+    this.logEvent('seat', { seat: seat.seat, playerId, action: 'leave' });
+
+    if (this.occupiedSeats().length === 0) {
+      this.close();
+      return;
+    }
+    if (this.state === 'WAITING_FOR_BETS') {
+      this.checkBetsIn();
+    }
+    this.save();
+    this.scheduleTimer();
+  }
+
+  // Remove an empty table. Its last shuffle is retired so its rounds can be verified.
+  close() {
+    this.clearTimer();
+    retireShuffle(getShoe(this.shoeId).shuffleId);
+    shoes.delete(this.shoeId);
+    tables.delete(this.tableId);
+    this.logger.info('Table closed');
+    this.logEvent('closed');
+  }
+
+  // Check a bet can be placed before the player's funds are taken
+  checkBet(playerId, amount) {
+    const seat = this.findSeat(playerId);
+    if (!seat) {
+      throw new Error('You are not seated at this table');
+    }
+    if (this.state !== 'WAITING_FOR_BETS' && this.state !== 'ROUND_ENDED') {
+      throw new Error('Cannot place bet at this time');
+    }
+    if (this.state === 'WAITING_FOR_BETS' && seat.bet > 0) {
+      throw new Error('You already placed a bet this round');
+    }
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || roundTokens(amount) !== amount) {
+      throw new Error('Invalid bet amount');
+    }
+    if (amount < this.rules.minBet || amount > this.rules.maxBet) {
+      throw new Error(`Bet must be between ${this.rules.minBet} and ${this.rules.maxBet} CARDS`);
+    }
+    return seat;
+  }
+
+  // Start taking bets for the next round once the last one is settled
+  openBetting() {
+    if (this.state === 'ROUND_ENDED') {
+      this.newRound();
+      this.save();
+    }
+  }
+
+  // Put a bet already taken from the player's balance on their seat
+  placeBet(playerId, amount, depositSignature = null) {
+    const seat = this.checkBet(playerId, amount);
+    this.openBetting();
+
+    seat.bet = amount;
+    seat.wagers.push({ action: 'bet', hand: 0, amount, signature: depositSignature });
+    seat.actions.push({ action: 'bet', hand: 0, timestamp: Date.now() });
+    this.logger.info('Player bet at table', { playerId, seat: seat.seat, amount });
+    this.logEvent('seat', { seat: seat.seat, playerId, action: 'bet', amount, signature: depositSignature });
+
+    this.checkBetsIn();
+    // Players who haven't bet yet get until the bet timer runs out
+    if (this.state === 'WAITING_FOR_BETS' && !this.bettingEndsAt) {
+      this.bettingEndsAt = Date.now() + config.tableBetTimeout;
+      this.scheduleTimer();
+    }
+
+    this.save();
+  }
+
+  // Deal as soon as every seated player has bet
+  checkBetsIn() {
+    const seated = this.occupiedSeats();
+    if (seated.length > 0 && seated.every(seat => seat.bet > 0)) {
+      this.deal();
+    } else if (this.seatsInRound().length === 0) {
+      this.bettingEndsAt = null;
+      this.scheduleTimer();
+    }
+  }
+
+  // Reshuffle before the round once the cut card is out
+  prepareShoe() {
+    const shoe = getShoe(this.shoeId);
+    if (shoe.needsShuffle()) {
+      this.recordShuffle(shuffleShoe(shoe, this.rules));
+    }
+  }
+
+  recordShuffle(event) {
+    this.events.push(event);
+    const { type, timestamp, ...shuffle } = event;
+    this.logEvent('shuffle', shuffle);
+  }
+
+  // Take the next card from the shoe and record where it came from and went
+  drawCard(seat, handIndex, hidden = false) {
+    const shoe = getShoe(this.shoeId);
+
+    // Only happens when a round needs more cards than are left behind the cut card
+    if (shoe.isEmpty()) {
+      this.recordShuffle(shuffleShoe(shoe, this.rules));
+    }
+
+    const { card, shuffleId, position } = shoe.draw();
+    if (!this.shuffleIds.includes(shuffleId)) {
+      this.shuffleIds.push(shuffleId);
+    }
+    this.draws.push({
+      ...(seat ? { to: 'player', seat: seat.seat, hand: handIndex } : { to: 'dealer' }),
+      shuffleId,
+      position
+    });
+    this.logEvent('card', {
+      ...(seat ? { to: 'player', seat: seat.seat, hand: handIndex } : { to: 'dealer' }),
+      card: { suit: card.suit, rank: card.rank },
+      hidden,
+      shuffleId,
+      position
+    });
+    return { ...card, hidden };
+  }
+
+  // Turn the hole card over
+  revealDealerHand() {
+    this.dealerHand = this.dealerHand.map(card => ({ ...card, hidden: false }));
+    this.logEvent('reveal', { dealerHand: this.dealerHand.map(({ suit, rank }) => ({ suit, rank })) });
+  }
+
+  // Deal two cards to every seat with a bet and to the dealer, one card at a time in seat order
+  deal() {
+    this.clearTimer();
+    this.bettingEndsAt = null;
+    this.transitionState('PLAYER_TURN');
+    this.roundCount += 1;
+    this.prepareShoe();
+
+    const players = this.seatsInRound();
+    for (const seat of players) {
+      seat.hands = [createHand([], seat.bet)];
+    }
+    for (let round = 0; round < 2; round++) {
+      for (const seat of players) {
+        seat.hands[0].cards.push(this.drawCard(seat, 0));
+      }
+      this.dealerHand.push(this.drawCard(null, null, round === 1));
+    }
+    for (const seat of players) {
+      gamesStarted.inc({ mode: 'table' });
+    }
+    this.logger.info('Table dealt round', { seats: players.length });
+
+    this.resolveNaturals();
+  }
+
+  // Dealer peeks for blackjack under an ace or ten, then naturals are settled
+  resolveNaturals() {
+    const upcardValue = cardValue(this.dealerHand[0]);
+    const dealerNatural = (upcardValue === 11 || upcardValue === 10) && isNatural(this.dealerHand);
+
+    for (const seat of this.seatsInRound()) {
+      const hand = seat.hands[0];
+      const playerNatural = isNatural(hand.cards);
+      if (dealerNatural) {
+        hand.result = playerNatural ? 'push' : 'loss';
+        hand.done = true;
+      } else if (playerNatural) {
+        hand.result = 'blackjack';
+        hand.done = true;
+      }
+    }
+
+    if (dealerNatural) {
+      this.revealDealerHand();
+      this.transitionState('ROUND_ENDED');
+      this.settleRound();
+      return;
+    }
+
+    this.nextTurn(-1);
+  }
+
+  // Hand the turn to the next seat after the given one that still has hands to play,
+  // or to the dealer once every seat has finished
+  nextTurn(afterSeat) {
+    for (const seat of this.seatsInRound()) {
+      if (seat.seat <= afterSeat || seat.hands.every(hand => hand.done)) continue;
+
+      this.turnSeat = seat.seat;
+      if (seat.leaving) {
+        this.standSeat(seat);
+      } else {
+        this.startTurnTimer();
+      }
+      return;
+    }
+
+    this.turnSeat = null;
+    this.turnExpiresAt = null;
+    this.clearTimer();
+    this.finishRound();
+  }
+
+  // Move to the seat's next unfinished hand, dealing the second card to split hands,
+  // and pass the turn on once every hand is finished
+  advanceSeat(seat) {
+    while (seat.activeHandIndex < seat.hands.length) {
+      const hand = seat.hands[seat.activeHandIndex];
+
+      if (!hand.done && hand.cards.length === 1) {
+        hand.cards.push(this.drawCard(seat, seat.activeHandIndex));
+        // Split aces get exactly one more card
+        if (hand.splitAces) {
+          hand.done = true;
+        }
+        checkHandTotal(hand);
+      }
+
+      if (!hand.done) {
+        this.startTurnTimer();
+        return;
+      }
+      seat.activeHandIndex += 1;
+    }
+
+    this.nextTurn(seat.seat);
+  }
+
+  // Stand every hand the seat has left, when its turn timer runs out or the player leaves
+  standSeat(seat) {
+    while (this.state === 'PLAYER_TURN' && this.turnSeat === seat.seat) {
+      playerActions.inc({ mode: 'table', action: 'auto-stand' });
+      seat.actions.push({ action: 'stand', hand: seat.activeHandIndex, auto: true, timestamp: Date.now() });
+      this.logEvent('action', { seat: seat.seat, hand: seat.activeHandIndex, action: 'stand', auto: true });
+      seat.hands[seat.activeHandIndex].done = true;
+      this.advanceSeat(seat);
+    }
+  }
+
+  // Actions the player can take on their seat right now
+  getAvailableActions(playerId) {
+    const seat = this.findSeat(playerId);
+    if (!seat || seat.leaving) {
+      return [];
+    }
+
+    if (this.state === 'ROUND_ENDED' || (this.state === 'WAITING_FOR_BETS' && seat.bet === 0)) {
+      return ['bet'];
+    }
+
+    const hand = seat.hands[seat.activeHandIndex];
+    if (this.state !== 'PLAYER_TURN' || this.turnSeat !== seat.seat || !hand || hand.done) {
+      return [];
+    }
+
+    return handActions(hand, seat.hands.length, this.rules);
+  }
+
+  // Additional wager (in CARDS) an action requires
+  getActionCost(playerId, action) {
+    const seat = this.findSeat(playerId);
+    if (seat && (action === 'double' || action === 'split')) {
+      return seat.hands[seat.activeHandIndex].bet;
+    }
+    return 0;
+  }
+
+  // Play an action on the active hand of the player's seat; double and split
+  // must already have been paid for
+  act(playerId, action, signature = null) {
+    if (!this.getAvailableActions(playerId).includes(action) || action === 'bet') {
+      throw new Error(`Cannot ${action} at this time`);
+    }
+
+    const seat = this.findSeat(playerId);
+    const index = seat.activeHandIndex;
+    const hand = seat.hands[index];
+    playerActions.inc({ mode: 'table', action });
+    seat.actions.push({ action, hand: index, timestamp: Date.now() });
+    this.logEvent('action', {
+      seat: seat.seat,
+      hand: index,
+      action,
+      ...(action === 'double' || action === 'split' ? { amount: hand.bet, signature } : {})
+    });
+
+    switch (action) {
+      case 'hit':
+        hand.cards.push(this.drawCard(seat, index));
+        checkHandTotal(hand);
+        break;
+      case 'stand':
+        hand.done = true;
+        break;
+      case 'double':
+        seat.wagers.push({ action: 'double', hand: index, amount: hand.bet, signature });
+        hand.bet += hand.bet;
+        hand.doubled = true;
+        // A doubled hand gets exactly one more card
+        hand.cards.push(this.drawCard(seat, index));
+        checkHandTotal(hand);
+        hand.done = true;
+        break;
+      case 'split': {
+        const [first, second] = hand.cards;
+        const newHand = createHand([second], hand.bet);
+        hand.cards = [first];
+        hand.fromSplit = true;
+        newHand.fromSplit = true;
+        hand.splitAces = newHand.splitAces = first.rank === 'A';
+        seat.hands.splice(index + 1, 0, newHand);
+        this.draws.push({ seat: seat.seat, split: index });
+        seat.wagers.push({ action: 'split', hand: index, amount: hand.bet, signature });
+        break;
+      }
+      case 'surrender':
+        hand.surrendered = true;
+        hand.done = true;
+        hand.result = 'surrender';
+        break;
+    }
+
+    // Every action gives the seat a fresh turn timer
+    if (hand.done || action === 'split') {
+      this.advanceSeat(seat);
+    } else {
+      this.startTurnTimer();
+    }
+
+    this.save();
+  }
+
+  // Dealer plays once every seat has finished, then all seats are settled
+  finishRound() {
+    const liveHands = this.seatsInRound()
+      .flatMap(seat => seat.hands)
+      .filter(hand => hand.result === null);
+
+    // Nothing depends on the dealer's cards when every hand busted or surrendered
+    if (liveHands.length > 0) {
+      this.transitionState('DEALER_TURN');
+
+      this.revealDealerHand();
+      while (dealerShouldHit(this.dealerHand, this.rules)) {
+        this.dealerHand.push(this.drawCard(null));
+      }
+      const dealerScore = handScore(this.dealerHand);
+
+      for (const hand of liveHands) {
+        hand.result = determineOutcome(handScore(hand.cards), dealerScore);
+      }
+    }
+
+    this.transitionState('ROUND_ENDED');
+    this.settleRound();
+  }
+
+  // Credit every seat's winnings and record each seat's round as a completed game,
+  // then free the seats of players who left during the round
+  settleRound() {
+    this.clearTimer();
+    this.turnSeat = null;
+    this.turnExpiresAt = null;
+
+    // Cards of this round go to the discard tray
+    const shoe = getShoe(this.shoeId);
+    shoe.discard(this.draws.filter(draw => draw.shuffleId === shoe.shuffleId).length);
+
+    for (const seat of this.seatsInRound()) {
+      const gameId = this.seatGameId(seat);
+      const totalBet = roundTokens(seat.wagers.reduce((sum, wager) => sum + wager.amount, 0));
+      seat.payoutAmount = roundTokens(seat.hands.reduce(
+        (sum, hand) => sum + hand.bet * outcomeReturnRate(hand.result, this.rules), 0
+      ));
+
+      if (seat.hands.length === 1 && seat.hands[0].result === 'blackjack') {
+        seat.result = 'blackjack';
+      } else if (seat.payoutAmount > totalBet) {
+        seat.result = 'win';
+      } else if (seat.payoutAmount === totalBet) {
+        seat.result = 'push';
+      } else {
+        seat.result = 'loss';
+      }
+      countFinishedGame('table', seat.result, totalBet, seat.payoutAmount);
+
+      if (seat.payoutAmount > 0) {
+        ledger.transfer({
+          id: `payout:${gameId}`,
+          type: 'payout',
+          from: HOUSE_ACCOUNT,
+          to: playerAccount(seat.playerId),
+          amount: seat.payoutAmount,
+          reference: gameId
+        });
+      }
+
+      completedGames.set(gameId, {
+        playerId: seat.playerId,
+        tableId: this.tableId,
+        roundId: this.roundId,
+        seat: seat.seat,
+        result: seat.result,
+        hands: seat.hands.map(hand => ({ bet: hand.bet, result: hand.result })),
+        insurance: null,
+        totalBet,
+        payoutAmount: seat.payoutAmount,
+        wagers: seat.wagers,
+        // The seat's own draws and the dealer's are enough to verify its hands
+        fairness: {
+          shuffles: this.shuffleIds,
+          draws: this.draws.filter(draw => draw.to === 'dealer' || draw.seat === seat.seat),
+          playerHands: seat.hands.map(hand => hand.cards.map(({ suit, rank }) => ({ suit, rank }))),
+          dealerHand: this.dealerHand.map(({ suit, rank }) => ({ suit, rank }))
+        },
+        payoutStatus: seat.payoutAmount > 0 ? 'credited' : null,
+        timestamp: Date.now()
+      });
+      gameHistory.record({
+        gameId,
+        playerId: seat.playerId,
+        tableId: this.tableId,
+        seat: seat.seat,
+        result: seat.result,
+        hands: seat.hands.map(historyHand),
+        dealerHand: this.dealerHand.map(({ suit, rank }) => ({ suit, rank })),
+        insurance: null,
+        actions: seat.actions,
+        wagers: seat.wagers,
+        totalBet,
+        payoutAmount: seat.payoutAmount,
+        payoutStatus: seat.payoutAmount > 0 ? 'credited' : null,
+        timestamp: Date.now()
+      });
+      this.logEvent('result', {
+        seat: seat.seat,
+        playerId: seat.playerId,
+        gameId,
+        result: seat.result,
+        hands: seat.hands.map(hand => ({ bet: hand.bet, result: hand.result })),
+        totalBet,
+        payoutAmount: seat.payoutAmount
+      });
+      if (seat.payoutAmount > 0) {
+        this.logEvent('payout', { seat: seat.seat, transactionId: `payout:${gameId}`, amount: seat.payoutAmount, to: 'balance' });
+      }
+    }
+
+    // Each seat's audit log is the round's log without the other seats' entries
+    for (const seat of this.seatsInRound()) {
+      gameLogs.set(this.seatGameId(seat), {
+        gameId: this.seatGameId(seat),
+        playerId: seat.playerId,
+        tableId: this.tableId,
+        seat: seat.seat,
+        log: this.log.filter(entry => entry.seat === undefined || entry.seat === seat.seat),
+        timestamp: Date.now()
+      });
+    }
+    this.logger.info('Table settled round');
+
+    for (const seat of this.occupiedSeats()) {
+      if (seat.leaving) {
+        this.seats[seat.seat] = null;
+        this.logger.info('Player left table', { playerId: seat.playerId, seat: seat.seat });
+        this.logEvent('seat', { seat: seat.seat, playerId: seat.playerId, action: 'leave' });
+      }
+    }
+    if (this.occupiedSeats().length === 0) {
+      this.close();
+      return;
+    }
+
+    this.save();
+    this.scheduleTimer();
+  }
+
+  // No bet is in play and none has started the bet timer
+  isIdle() {
+    return this.state === 'ROUND_ENDED' || (this.state === 'WAITING_FOR_BETS' && !this.bettingEndsAt);
+  }
+
+  // Free every seat of a table nobody has bet at for GAME_IDLE_TIMEOUT, which closes it
+  unseatIdlePlayers() {
+    for (const seat of this.occupiedSeats()) {
+      this.seats[seat.seat] = null;
+      this.logger.info('Idle player unseated', { playerId: seat.playerId, seat: seat.seat });
+      this.logEvent('seat', { seat: seat.seat, playerId: seat.playerId, action: 'leave', reason: 'idle' });
+    }
+    this.close();
+  }
+
+  // Most the current round can still pay out
+  getExposure() {
+    if (this.state === 'ROUND_ENDED') {
+      return 0;
+    }
+    return roundTokens(this.seatsInRound().reduce((sum, seat) => sum + maxGameExposure(this.rules, seat.bet), 0));
+  }
+
+  startTurnTimer() {
+    this.turnExpiresAt = Date.now() + config.tableTurnTimeout;
+    this.scheduleTimer();
+    this.logEvent('turn', { seat: this.turnSeat, expiresAt: this.turnExpiresAt });
+  }
+
+  clearTimer() {
+    scheduler.cancel(`table:${this.tableId}`);
+  }
+
+  // Arm the timer for the running bet, turn or idle deadline (also after a restart)
+  scheduleTimer() {
+    this.clearTimer();
+
+    let deadline = null;
+    if (this.isIdle()) {
+      deadline = (this.updatedAt || Date.now()) + config.gameIdleTimeout;
+    } else if (this.state === 'WAITING_FOR_BETS') {
+      deadline = this.bettingEndsAt;
+    } else if (this.state === 'PLAYER_TURN') {
+      deadline = this.turnExpiresAt;
+    }
+    if (!deadline) return;
+
+    scheduler.schedule(`table:${this.tableId}`, deadline, () => this.onTimer());
+  }
+
+  // Bets close when the bet timer runs out; a seat whose turn timer runs out stands;
+  // the players of a table left idle are unseated
+  onTimer() {
+    try {
+      if (this.isIdle()) {
+        this.logger.info('Table sat idle', { timeout: config.gameIdleTimeout });
+        this.unseatIdlePlayers();
+        return;
+      } else if (this.state === 'WAITING_FOR_BETS' && this.bettingEndsAt) {
+        this.logger.info('Betting closed');
+        this.deal();
+      } else if (this.state === 'PLAYER_TURN' && this.turnSeat !== null) {
+        this.logger.info('Turn timer ran out', { seat: this.turnSeat });
+        this.standSeat(this.seats[this.turnSeat]);
+      }
+      this.save();
+    } catch (error) {
+      this.logger.error('Table timer failed', { error });
+    }
+  }
+
+  // Public view of the table; with a player, also their seat, actions and balance
+  getTableState(playerId = null) {
+    const mySeat = playerId ? this.findSeat(playerId) : null;
+    const shoe = shoes.get(this.shoeId);
+
+    return {
+      tableId: this.tableId,
+      name: this.name,
+      state: this.state,
+      roundId: this.roundId,
+      seats: this.seats.map(seat => seat && {
+        seat: seat.seat,
+        playerId: seat.playerId,
+        bet: seat.bet,
+        hands: seat.hands.map(hand => ({
+          cards: hand.cards,
+          bet: hand.bet,
+          score: handScore(hand.cards),
+          doubled: hand.doubled,
+          fromSplit: hand.fromSplit,
+          surrendered: hand.surrendered,
+          result: hand.result
+        })),
+        activeHandIndex: seat.activeHandIndex,
+        payoutAmount: seat.payoutAmount,
+        result: seat.result,
+        leaving: seat.leaving
+      }),
+      // Only send that the hole card is hidden, not its value
+      dealerHand: this.dealerHand.map(card => (card.hidden ? { hidden: true } : card)),
+      dealerScore: handScore(this.dealerHand),
+      turn: this.turnSeat === null ? null : { seat: this.turnSeat, expiresAt: this.turnExpiresAt },
+      bettingEndsAt: this.bettingEndsAt,
+      fairness: {
+        // Server seeds are revealed once the shoe is reshuffled
+        shuffles: this.shuffleIds.map(describeShuffle),
+        nextServerSeedHash: shoe ? nextServerSeedHash(shoe.id) : null
+      },
+      shoe: shoe ? shoe.getState() : null,
+      events: this.events,
+      rules: this.rules,
+      mySeat: mySeat ? mySeat.seat : null,
+      availableActions: playerId ? this.getAvailableActions(playerId) : [],
+      balance: playerId ? getBalance(playerId) : null
+    };
+  }
+
+  // Short view for the table list
+  getSummary() {
+    return {
+      tableId: this.tableId,
+      name: this.name,
+      state: this.state,
+      seatCount: this.seats.length,
+      seatsTaken: this.occupiedSeats().length,
+      minBet: this.rules.minBet,
+      maxBet: this.rules.maxBet
+    };
+  }
+}
+
+function depositTransactionId(signature, playerId) {
+  return `deposit:${signature}:${playerId}`;
+}
+
+// Credit a deposit to the player's balance; the ledger makes this a no-op when it was already credited
+function creditDeposit(playerId, signature, units) {
+  const id = depositTransactionId(signature, playerId);
+  if (ledger.has(id)) {
+    return false;
+  }
+
+  const amount = roundTokens(fromBaseUnits(units, cardsMint.decimals));
+  ledger.transfer({
+    id,
+    type: 'deposit',
+    from: EXTERNAL_ACCOUNT,
+    to: playerAccount(playerId),
+    amount,
+    reference: signature
+  });
+  logger.info('Credited deposit', { playerId, amount, signature });
+  return true;
+}
+
+// Helper function to verify a player's CARDS deposit to the treasury and credit it
+async function claimDeposit(playerAddress, signature) {
+  // Solana signatures are 64 bytes encoded in base58
+  let signatureBytes;
+  try {
+    signatureBytes = bs58.decode(signature);
+  } catch (error) {
+    signatureBytes = null;
+  }
+  if (!signatureBytes || signatureBytes.length !== 64) {
+    throw new Error('Invalid transaction signature format');
+  }
+
+  // Already picked up by the deposit watcher or an earlier request
+  if (ledger.has(depositTransactionId(signature, playerAddress))) {
+    return;
+  }
+
+  // Only finalized transactions count
+  const transaction = await chain.getDeposits(signature);
+
+  if (!transaction) {
+    throw new Error('Deposit transaction not found or not finalized yet');
+  }
+
+  if (transaction.err) {
+    throw new Error('Deposit transaction failed on-chain');
+  }
+
+  const ageSeconds = Math.floor(Date.now() / 1000) - (transaction.blockTime || 0);
+  if (!transaction.blockTime || ageSeconds > config.depositMaxAge) {
+    throw new Error('Deposit transaction is too old');
+  }
+
+  const units = transaction.deposits.get(playerAddress);
+  if (!units || units.isZero()) {
+    throw new Error('Transaction does not transfer any CARDS to the treasury');
+  }
+
+  creditDeposit(playerAddress, signature, units);
+}
+
+// Take a wager from the player's balance, first crediting the deposit that backs it if one is given
+async function fundWager(playerId, amount, depositSignature, gameId) {
+  if (depositSignature) {
+    await claimDeposit(playerId, depositSignature);
+  }
+  ledger.transfer({ type: 'wager', from: playerAccount(playerId), to: HOUSE_ACCOUNT, amount, reference: gameId });
+}
+
+// Return a wager whose action could not be completed
+function refundWager(playerId, amount, gameId) {
+  ledger.transfer({ type: 'refund', from: HOUSE_ACCOUNT, to: playerAccount(playerId), amount, reference: gameId });
+}
+
+// Check the treasury token account for transfers since the last one seen and credit them
+let depositWatcherRunning = false;
+async function pollDeposits() {
+  // Nothing to watch until the mint has been loaded
+  if (depositWatcherRunning || !cardsMint) return;
+  depositWatcherRunning = true;
+
+  try {
+    const cursor = cursors.get('deposits');
+    // Newest first, back to the last signature already processed; without a cursor (first run)
+    // only back to DEPOSIT_MAX_AGE
+    const since = cursor ? null : Math.floor(Date.now() / 1000) - config.depositMaxAge;
+    const found = await chain.listDepositSignatures(cursor ? cursor.signature : null, { since });
+
+    if (found.length === 0) return;
+
+    // Credit oldest first. A transaction the node can't return yet ends the run with the cursor
+    // just before it, so it is read again on the next one.
+    let processed = null;
+    for (const info of found.slice().reverse()) {
+      if (!info.err) {
+        const transaction = await chain.getDeposits(info.signature);
+        if (!transaction) {
+          logger.warn('Deposit transaction not available yet', { signature: info.signature });
+          break;
+        }
+        if (!transaction.err) {
+          for (const [playerId, units] of transaction.deposits) {
+            creditDeposit(playerId, info.signature, units);
+          }
+        }
+      }
+      processed = info.signature;
+    }
+
+    if (processed) {
+      cursors.set('deposits', { signature: processed, updatedAt: Date.now() });
+    }
+  } catch (error) {
+    // The cursor only moves once a run succeeds, so nothing is skipped
+    logger.error('Error checking for deposits', { error: error.message });
+  } finally {
+    depositWatcherRunning = false;
+  }
+}
+
+// Copy the payout status onto the withdrawals it pays, settling them in the ledger once final
+function syncPayoutToWithdrawal(payout, transfer) {
+  const withdrawal = withdrawals.get(transfer.withdrawalId);
+  if (!withdrawal) return;
+
+  let status = payout.status === 'pending' || payout.status === 'expired' ? 'queued' : payout.status;
+
+  if (payout.status === 'confirmed' && !ledger.has(`withdrawal:${withdrawal.withdrawalId}:sent`)) {
+    ledger.transfer({
+      id: `withdrawal:${withdrawal.withdrawalId}:sent`,
+      type: 'withdrawal-sent',
+      from: WITHDRAWALS_ACCOUNT,
+      to: EXTERNAL_ACCOUNT,
+      amount: withdrawal.amount,
+      reference: payout.signature
+    });
+  }
+
+  // A failed withdrawal goes back to the player's balance
+  if (payout.status === 'failed' && !ledger.has(`withdrawal:${withdrawal.withdrawalId}:refund`)) {
+    ledger.transfer({
+      id: `withdrawal:${withdrawal.withdrawalId}:refund`,
+      type: 'withdrawal-refund',
+      from: WITHDRAWALS_ACCOUNT,
+      to: playerAccount(withdrawal.playerId),
+      amount: withdrawal.amount,
+      reference: withdrawal.withdrawalId
+    });
+    status = 'failed';
+  }
+
+  withdrawals.set(withdrawal.withdrawalId, {
+    ...withdrawal,
+    status,
+    payoutId: payout.payoutId,
+    signature: payout.signature,
+    error: payout.error,
+    updatedAt: Date.now(),
+    confirmedAt: payout.confirmedAt || null
+  });
+}
+
+// Record the token accounts a confirmed payout created, and what they cost
+function recordAccountCreations(payout) {
+  for (const creation of payout.accountCreations || []) {
+    if (!tokenAccountCreations.has(creation.tokenAccount)) {
+      tokenAccountCreations.set(creation.tokenAccount, {
+        ...creation,
+        payoutId: payout.payoutId,
+        signature: payout.signature,
+        createdAt: Date.now()
+      });
+    }
+  }
+}
+
+// Token accounts created by payouts within TOKEN_ACCOUNT_CREATION_WINDOW, or being created,
+// counted against MAX_TOKEN_ACCOUNT_CREATIONS
+function countAccountCreations() {
+  const since = Date.now() - config.tokenAccountCreationWindow;
+  let count = 0;
+  for (const creation of tokenAccountCreations.values()) {
+    if (creation.createdAt >= since) {
+      count += 1;
+    }
+  }
+  for (const payout of payouts.values()) {
+    if (payout.status === 'submitted') {
+      count += (payout.accountCreations || []).length;
+    }
+  }
+  return count;
+}
+
+function syncPayout(payout) {
+  if (payout.status === 'confirmed') {
+    recordAccountCreations(payout);
+  }
+
+  for (const transfer of payout.transfers) {
+    syncPayoutToWithdrawal(payout, transfer);
+  }
+}
+
+// Tell the players a payout pays to that it was submitted, confirmed or failed
+function publishPayoutStatus(payout) {
+  if (!['submitted', 'confirmed', 'failed'].includes(payout.status)) return;
+
+  for (const transfer of payout.transfers) {
+    gameEvents.publish(`player:${transfer.playerId}`, `payout-${payout.status}`, {
+      payoutId: payout.payoutId,
+      withdrawalId: transfer.withdrawalId,
+      amount: transfer.amount,
+      signature: payout.signature,
+      error: payout.status === 'failed' ? payout.error : null
+    });
+  }
+}
+
+// Persist changes to a payout record
+// Changes apply to the stored record, not the caller's copy: the payout worker holds its
+// copy across RPC calls, during which an operator may have settled the payout. A confirmed
+// or failed payout is never changed again, so its withdrawals are never both refunded and sent.
+function updatePayout(payout, changes) {
+  const current = payouts.get(payout.payoutId) || payout;
+  if (PAYOUT_FINAL_STATES.includes(current.status)) {
+    logger.warn('Ignoring change to a settled payout', { payoutId: current.payoutId, status: current.status, changes: Object.keys(changes) });
+    return current;
+  }
+
+  const updated = { ...current, ...changes, updatedAt: Date.now() };
+  payouts.set(updated.payoutId, updated);
+  syncPayout(updated);
+  if (updated.status !== current.status) {
+    payoutTransitions.inc({ status: updated.status });
+    if (updated.status === 'confirmed') {
+      payoutLatency.observe({}, (updated.confirmedAt - updated.createdAt) / 1000);
+    }
+    publishPayoutStatus(updated);
+  }
+  return updated;
+}
+
+// Group queued withdrawals into payout transactions of up to WITHDRAWAL_BATCH_SIZE transfers
+function batchWithdrawals() {
+  const pending = Array.from(withdrawals.values()).filter(withdrawal => withdrawal.status === 'pending');
+
+  for (let i = 0; i < pending.length; i += config.withdrawalBatchSize) {
+    const batch = pending.slice(i, i + config.withdrawalBatchSize);
+    const now = Date.now();
+    const payout = {
+      payoutId: generateSecureId(),
+      transfers: batch.map(withdrawal => ({
+        withdrawalId: withdrawal.withdrawalId,
+        playerId: withdrawal.playerId,
+        amount: withdrawal.amount
+      })),
+      status: 'pending',
+      signature: null,
+      blockhash: null,
+      lastValidBlockHeight: null,
+      transaction: null,
+      attempts: 0,
+      nextAttemptAt: now,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      confirmedAt: null
+    };
+    payouts.set(payout.payoutId, payout);
+    payoutTransitions.inc({ status: 'pending' });
+    syncPayout(payout);
+    logger.info('Queued payout', { payoutId: payout.payoutId, withdrawals: batch.length });
+  }
+}
+
+// Build and sign the CARDS token transaction of a payout, within the token account creation limit
+async function buildPayoutTransaction(payout) {
+  const built = await chain.buildPayout(payout.transfers, {
+    accountCreationsAllowed: config.maxTokenAccountCreations - countAccountCreations()
+  });
+
+  for (const { transfer, reason } of built.rejected) {
+    logger.warn('Payout transfer rejected', { payoutId: payout.payoutId, playerId: transfer.playerId, reason });
+    payoutErrors.inc({ stage: 'rejected' });
+  }
+  return built;
+}
+
+// Build a fresh transaction for a pending or expired payout and send it
+async function submitPayout(payout) {
+  if (PAYOUT_FINAL_STATES.includes(payout.status)) {
+    return payout;
+  }
+  if (payout.attempts >= config.payoutMaxAttempts) {
+    logger.error('Payout failed after the maximum attempts', { payoutId: payout.payoutId, attempts: payout.attempts });
+    return updatePayout(payout, { status: 'failed', error: payout.error || 'Maximum payout attempts reached' });
+  }
+
+  let built;
+  try {
+    built = await buildPayoutTransaction(payout);
+  } catch (error) {
+    // Retry with exponential backoff
+    const attempts = payout.attempts + 1;
+    logger.error('Failed to build payout', { payoutId: payout.payoutId, attempt: attempts, error: error.message });
+    payoutErrors.inc({ stage: 'build' });
+    return updatePayout(payout, {
+      status: attempts >= config.payoutMaxAttempts ? 'failed' : 'pending',
+      attempts,
+      nextAttemptAt: Date.now() + Math.pow(2, attempts) * config.payoutPollInterval,
+      error: error.message
+    });
+  }
+
+  // An operator may have settled it while the transaction was being built
+  const stored = payouts.get(payout.payoutId) || payout;
+  if (PAYOUT_FINAL_STATES.includes(stored.status)) {
+    return stored;
+  }
+
+  // Transfers that can't be paid fail on their own instead of holding up the rest of the batch
+  if (built.rejected.length > 0) {
+    for (const { transfer, reason } of built.rejected) {
+      const rejected = { ...payout, status: 'failed', error: reason, transfers: [transfer] };
+      syncPayout(rejected);
+      publishPayoutStatus(rejected);
+    }
+    const rejectedTransfers = built.rejected.map(({ transfer }) => transfer);
+    payout = updatePayout(payout, {
+      transfers: payout.transfers.filter(transfer => !rejectedTransfers.includes(transfer)),
+      rejectedTransfers: [
+        ...(payout.rejectedTransfers || []),
+        ...built.rejected.map(({ transfer, reason }) => ({ ...transfer, reason }))
+      ]
+    });
+  }
+
+  if (!built.transaction) {
+    return updatePayout(payout, { status: 'failed', error: built.rejected[0].reason });
+  }
+
+  const { transaction: serialized, signature, blockhash, lastValidBlockHeight, accountCreations } = built;
+
+  // Record the signature before sending, so after a crash we check this
+  // transaction instead of sending a second one
+  payout = updatePayout(payout, {
+    status: 'submitted',
+    signature,
+    blockhash,
+    lastValidBlockHeight,
+    transaction: serialized,
+    accountCreations,
+    attempts: payout.attempts + 1,
+    error: null
+  });
+  // Settled by an operator while the transaction was being built: it must not be sent
+  if (payout.status !== 'submitted') {
+    return payout;
+  }
+
+  try {
+    await chain.sendTransaction(serialized);
+    logger.info('Submitted payout', { payoutId: payout.payoutId, transfers: payout.transfers.length, signature });
+  } catch (error) {
+    // The transaction may still land; it is checked until its blockhash expires
+    logger.error('Error sending payout', { payoutId: payout.payoutId, signature, error: error.message });
+    payoutErrors.inc({ stage: 'send' });
+    payout = updatePayout(payout, { error: error.message });
+  }
+
+  return payout;
+}
+
+// Check a submitted payout: confirmed, failed on-chain, expired, or still in flight
+async function checkSubmittedPayout(payout) {
+  // Read the block height before the status so a transaction that lands in between is not missed
+  const blockHeight = await chain.getBlockHeight();
+  const status = await chain.getSignatureStatus(payout.signature);
+
+  if (status && status.err) {
+    logger.error('Payout transaction failed on-chain', { payoutId: payout.payoutId, signature: payout.signature, error: status.err });
+    return updatePayout(payout, { status: 'failed', error: JSON.stringify(status.err) });
+  }
+
+  if (status && status.confirmed) {
+    logger.info('Payout confirmed', { payoutId: payout.payoutId, signature: payout.signature });
+    return updatePayout(payout, { status: 'confirmed', confirmedAt: Date.now(), transaction: null, error: null });
+  }
+
+  if (!status && blockHeight > payout.lastValidBlockHeight) {
+    // The transaction can no longer land, so a new one can be sent safely
+    logger.warn('Payout transaction expired, resubmitting', { payoutId: payout.payoutId, signature: payout.signature });
+    payout = updatePayout(payout, { status: 'expired', transaction: null });
+    return submitPayout(payout);
+  }
+
+  // Still in flight: rebroadcast the same signed transaction, unless it was settled meanwhile
+  payout = payouts.get(payout.payoutId) || payout;
+  if (payout.status === 'submitted' && payout.transaction) {
+    try {
+      await chain.sendTransaction(payout.transaction, { rebroadcast: true });
+    } catch (error) {
+      logger.warn('Rebroadcast of payout failed', { payoutId: payout.payoutId, signature: payout.signature, error: error.message });
+      payoutErrors.inc({ stage: 'rebroadcast' });
+    }
+  }
+  return payout;
+}
+
+async function processPayout(payout) {
+  switch (payout.status) {
+    case 'pending':
+    case 'expired':
+      if (payout.nextAttemptAt > Date.now()) {
+        return payout;
+      }
+      return submitPayout(payout);
+    case 'submitted':
+      return checkSubmittedPayout(payout);
+    default:
+      return payout;
+  }
+}
+
+// Batch new withdrawals, then process every unsettled payout one at a time
+let payoutWorkerRunning = false;
+async function runPayoutWorker() {
+  // Transfers can't be built until the mint has been loaded
+  if (payoutWorkerRunning || !cardsMint) return;
+  payoutWorkerRunning = true;
+
+  try {
+    batchWithdrawals();
+
+    const unsettled = Array.from(payouts.values()).filter(payout => !PAYOUT_FINAL_STATES.includes(payout.status));
+    for (const { payoutId } of unsettled) {
+      // Read it again: earlier payouts took RPC calls, during which this one may have been settled
+      const payout = payouts.get(payoutId);
+      if (PAYOUT_FINAL_STATES.includes(payout.status)) continue;
+      try {
+        await processPayout(payout);
+      } catch (error) {
+        // RPC errors leave the payout as it is for the next run
+        logger.error('Error processing payout', { payoutId: payout.payoutId, error: error.message });
+        payoutErrors.inc({ stage: 'check' });
+      }
+    }
+  } finally {
+    payoutWorkerRunning = false;
+  }
+}
+
+// Last known treasury balances, refreshed by the treasury monitor
+const treasury = {
+  sol: null, // SOL on the treasury wallet for transaction fees
+  cards: null, // CARDS on the treasury token account
+  updatedAt: null,
+  error: null,
+  alerts: []
+};
+
+// Open liabilities in CARDS: player balances, queued payouts and what active games can still pay out
+function getLiabilities() {
+  const playerBalances = ledger.totalBalance('player:');
+
+  let queuedPayouts = 0;
+  for (const withdrawal of withdrawals.values()) {
+    if (withdrawal.status === 'pending') {
+      queuedPayouts += withdrawal.amount;
+    }
+  }
+  for (const payout of payouts.values()) {
+    if (!PAYOUT_FINAL_STATES.includes(payout.status)) {
+      queuedPayouts += payout.transfers.reduce((sum, transfer) => sum + transfer.amount, 0);
+    }
+  }
+
+  let gameExposure = 0;
+  for (const game of games.values()) {
+    gameExposure += game.getExposure();
+  }
+  for (const table of tables.values()) {
+    gameExposure += table.getExposure();
+  }
+
+  return {
+    playerBalances: roundTokens(playerBalances),
+    queuedPayouts: roundTokens(queuedPayouts),
+    gameExposure: roundTokens(gameExposure),
+    total: roundTokens(playerBalances + queuedPayouts + gameExposure)
+  };
+}
+
+// Balances are only trusted while the monitor keeps them fresh
+function treasuryBalancesKnown() {
+  return treasury.updatedAt !== null && Date.now() - treasury.updatedAt < 3 * config.treasuryPollInterval;
+}
+
+// Treasury balances against open liabilities, as shown to operators
+function getSolvency() {
+  const liabilities = getLiabilities();
+  const known = treasuryBalancesKnown();
+
+  return {
+    treasury: {
+      wallet: chain.treasuryWallet,
+      sol: treasury.sol,
+      cards: treasury.cards,
+      updatedAt: treasury.updatedAt,
+      error: treasury.error
+    },
+    liabilities,
+    available: known ? roundTokens(treasury.cards - liabilities.total) : null,
+    thresholds: { lowSol: config.lowSolBalance, lowCards: config.lowCardsBalance },
+    // Player token accounts the treasury paid to create during payouts
+    tokenAccountCreations: {
+      count: tokenAccountCreations.size,
+      // Counted against the limit: created within the window, or in a submitted payout
+      recent: countAccountCreations(),
+      limit: config.maxTokenAccountCreations,
+      windowMs: config.tokenAccountCreationWindow,
+      rentPaid: Array.from(tokenAccountCreations.values())
+        .reduce((sum, creation) => sum + creation.lamports, 0) / LAMPORTS_PER_SOL
+    },
+    alerts: treasury.alerts
+  };
+}
+
+// Whether the treasury can pay out one more game on top of everything it already owes
+function checkNewGameCoverage(rules) {
+  if (!treasuryBalancesKnown()) {
+    return { ok: false, reason: 'Treasury balance is unknown' };
+  }
+
+  const needed = roundTokens(getLiabilities().total + maxGameExposure(rules, rules.maxBet));
+  if (needed > treasury.cards) {
+    return { ok: false, reason: `Treasury holds ${treasury.cards} CARDS but would owe up to ${needed} CARDS` };
+  }
+
+  return { ok: true };
+}
+
+// Set while an operator has paused new games
+function getGameCreationPause() {
+  return settings.get('gameCreationPause') || null;
+}
+
+// Raise or clear the low-balance alerts, logging each alert when it first appears
+function updateTreasuryAlerts() {
+  const alerts = [];
+  const { available } = getSolvency();
+
+  if (treasury.sol < config.lowSolBalance) {
+    alerts.push(`Treasury SOL balance ${treasury.sol} is below ${config.lowSolBalance} SOL`);
+  }
+  if (available < 0) {
+    alerts.push(`Treasury is short ${-available} CARDS of its liabilities`);
+  } else if (available < config.lowCardsBalance) {
+    alerts.push(`Treasury has ${available} CARDS left after liabilities, below ${config.lowCardsBalance} CARDS`);
+  }
+
+  for (const alert of alerts) {
+    if (!treasury.alerts.includes(alert)) {
+      logger.warn('Treasury alert', { alert });
+    }
+  }
+  treasury.alerts = alerts;
+}
+
+// Read the treasury's SOL and CARDS balances
+async function refreshTreasuryBalances() {
+  if (!cardsMint) return;
+
+  try {
+    const { sol, cards } = await chain.getTreasuryBalances();
+    treasury.sol = sol;
+    treasury.cards = roundTokens(cards);
+    treasury.updatedAt = Date.now();
+    treasury.error = null;
+    updateTreasuryAlerts();
+  } catch (error) {
+    // Keep the last balances; they stop being trusted once they go stale
+    logger.error('Error reading treasury balances', { error: error.message });
+    treasury.error = error.message;
+  }
+}
+
+// Apply API rate limiting to all endpoints
+app.use('/api/', apiLimiter);
+
+// API Endpoints
+app.post('/api/auth/challenge', createGameLimiter, (req, res) => {
+  const { playerId } = req.body;
+  req.log.info('Auth challenge requested', { playerId });
+
+  if (!playerId) {
+    return res.status(400).json({ error: 'Player ID is required' });
+  }
+
+  try {
+    new PublicKey(playerId);
+  } catch (error) {
+    req.log.warn('Invalid Solana address format', { playerId });
+    return res.status(400).json({ error: 'Invalid player ID format. Must be a valid Solana address.' });
+  }
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + AUTH_CHALLENGE_TTL;
+  authChallenges.set(nonce, { playerId, expiresAt });
+
+  res.json({ nonce, message: buildAuthMessage(playerId, nonce), expiresAt });
+});
+
+app.post('/api/auth/session', createGameLimiter, (req, res) => {
+  const { playerId, nonce, signature } = req.body;
+  req.log.info('Auth session requested', { playerId });
+
+  if (!playerId || !nonce || !signature) {
+    return res.status(400).json({ error: 'Player ID, nonce and signature are required' });
+  }
+
+  // Challenges are single use, whatever the outcome
+  const challenge = authChallenges.get(nonce);
+  authChallenges.delete(nonce);
+
+  if (!challenge || challenge.playerId !== playerId || challenge.expiresAt < Date.now()) {
+    req.log.warn('Invalid or expired challenge', { playerId });
+    return res.status(401).json({ error: 'Challenge expired or invalid' });
+  }
+
+  if (!verifyWalletSignature(playerId, buildAuthMessage(playerId, nonce), signature)) {
+    req.log.warn('Invalid wallet signature', { playerId });
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = Date.now() + config.sessionTtl;
+  sessions.set(token, { playerId, expiresAt });
+  // The player sees the hash of their next shuffle's server seed before choosing a client seed
+  const commitment = commitServerSeed(playerId);
+
+  req.log.info('Session created', { playerId });
+  res.json({ token, expiresAt, serverSeedHash: commitment.serverSeedHash });
+});
+
+app.post('/api/game/create', createGameLimiter, requireSession, async (req, res) => {
+  const { clientSeed } = req.body;
+  const playerId = req.playerId;
+
+  if (!isValidClientSeed(clientSeed)) {
+    return res.status(400).json({ error: 'Client seed must be a string of 1-64 characters' });
+  }
+  if (clientSeed && !serverSeedCommitments.has(playerId)) {
+    return res.status(400).json({ error: 'No server seed is committed for your next shuffle', details: 'Call POST /api/game/commit before choosing a client seed' });
+  }
+
+  // Check if player already has an active game
+  if (activePlayers.has(playerId)) {
+    req.log.info('Player already has an active game, returning its state');
+    const game = games.get(playerId);
+    if (game) {
+      return res.json(game.getGameState());
+    } else {
+      // This shouldn't happen, but just in case
+      activePlayers.delete(playerId);
+    }
+  }
+
+  // Operators can pause new games
+  const pause = getGameCreationPause();
+  if (pause) {
+    return res.status(503).json({ error: 'New games are paused', details: pause.reason });
+  }
+
+  // Refuse new games the treasury could not pay out
+  const coverage = checkNewGameCoverage(RULES);
+  if (!coverage.ok) {
+    req.log.warn('Refusing new game', { reason: coverage.reason });
+    return res.status(503).json({ error: 'New games are paused until the treasury can cover them', details: coverage.reason });
+  }
+
+  try {
+    const game = new BlackjackGame(playerId, { clientSeed });
+    games.set(playerId, game);
+    const gameState = await game.getGameState();
+    req.log.info('Game created', { gameId: game.gameId });
+    res.json(gameState);
+  } catch (error) {
+    req.log.error('Error creating game', { error });
+    res.status(500).json({ error: 'Failed to create game', details: error.message });
+  }
+});
+
+// Treasury balances, open liabilities and low-balance alerts for operators
+app.get('/api/treasury/status', requireAdmin, (req, res) => {
+  res.json(getSolvency());
+});
+
+// Prometheus metrics: games, actions, payouts, treasury, active players and rate limiting
+app.get('/metrics', (req, res) => {
+  if (config.metricsToken && !safeEqual(req.get('Authorization') || '', `Bearer ${config.metricsToken}`)) {
+    return res.status(401).json({ error: 'Metrics token required' });
+  }
+
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
+// Active table rules, so clients render the correct table
+app.get('/api/rules', (req, res) => {
+  res.json(RULES);
+});
+
+// Commit to the server seed of the next shuffle of the player's shoe before they choose a client seed
+app.post('/api/game/commit', gameActionLimiter, requireSession, (req, res) => {
+  const playerId = req.playerId;
+
+  res.json({ serverSeedHash: commitServerSeed(playerId).serverSeedHash });
+});
+
+// Rebuild the hands of a finished game from the revealed seeds of its shuffles
+app.get('/api/game/verify/:gameId', gameActionLimiter, (req, res) => {
+  const { gameId } = req.params;
+  const completion = completedGames.get(gameId);
+
+  if (!completion || !completion.fairness) {
+    const inProgress = Array.from(games.values()).some(game => game.gameId === gameId) ||
+      Array.from(tables.values()).some(table => gameId.startsWith(`${table.roundId}-`));
+    if (inProgress) {
+      return res.status(400).json({ error: 'The game has not ended yet' });
+    }
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  const { shuffles: shuffleIds, draws, playerHands, dealerHand } = completion.fairness;
+  const records = shuffleIds.map(shuffleId => shuffles.get(shuffleId));
+
+  if (records.some(record => !record)) {
+    return res.status(404).json({ error: 'Shuffle records for this game are no longer available' });
+  }
+  if (records.some(record => !record.retiredAt)) {
+    return res.status(400).json({ error: 'The server seed is revealed once the shoe is reshuffled' });
+  }
+
+  // Rebuild the order of every shuffle the game was dealt from
+  const dealOrders = new Map();
+  for (const record of records) {
+    const deck = buildDeck(record.serverSeed, record.clientSeed, record.nonce, record.deckCount);
+    dealOrders.set(record.shuffleId, deck.map(({ suit, rank }) => ({ suit, rank })));
+  }
+
+  // Replay the recorded draws and splits
+  const rebuiltPlayerHands = [];
+  const rebuiltDealerHand = [];
+
+  for (const draw of draws) {
+    if (draw.split !== undefined) {
+      const [first, second] = rebuiltPlayerHands[draw.split];
+      rebuiltPlayerHands.splice(draw.split, 1, [first], [second]);
+    } else if (draw.to === 'dealer') {
+      rebuiltDealerHand.push(dealOrders.get(draw.shuffleId)[draw.position]);
+    } else {
+      rebuiltPlayerHands[draw.hand] = rebuiltPlayerHands[draw.hand] || [];
+      rebuiltPlayerHands[draw.hand].push(dealOrders.get(draw.shuffleId)[draw.position]);
+    }
+  }
+
+  const sameCards = (a, b) => a.length === b.length &&
+    a.every((card, i) => card.suit === b[i].suit && card.rank === b[i].rank);
+
+  res.json({
+    gameId,
+    shuffles: records.map(record => ({
+      shuffleId: record.shuffleId,
+      serverSeed: record.serverSeed,
+      serverSeedHash: record.serverSeedHash,
+      clientSeed: record.clientSeed,
+      nonce: record.nonce,
+      deckCount: record.deckCount,
+      seedHashValid: hashServerSeed(record.serverSeed) === record.serverSeedHash,
+      dealOrder: dealOrders.get(record.shuffleId)
+    })),
+    draws,
+    playerHands: rebuiltPlayerHands,
+    dealerHand: rebuiltDealerHand,
+    handsMatch: rebuiltPlayerHands.length === playerHands.length &&
+      rebuiltPlayerHands.every((hand, i) => sameCards(hand, playerHands[i])) &&
+      sameCards(rebuiltDealerHand, dealerHand)
+  });
+});
+
+// A player's finished games, newest first, with cards, actions, wagers and outcome
+app.get('/api/players/:playerId/history', gameActionLimiter, requireSession, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const before = parseInt(req.query.before, 10) || Infinity;
+
+  res.json({ playerId: req.playerId, ...gameHistory.page(req.playerId, { limit, before }) });
+});
+
+// Games played, wins, pushes, net CARDS and streaks of a player
+app.get('/api/players/:playerId/stats', gameActionLimiter, (req, res) => {
+  try {
+    new PublicKey(req.params.playerId);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid player ID format. Must be a valid Solana address.' });
+  }
+
+  res.json(gameHistory.playerStats(req.params.playerId));
+});
+
+// Players with the most net CARDS won today, this week (UTC, from Monday) or of all time
+app.get('/api/leaderboard', gameActionLimiter, (req, res) => {
+  const period = req.query.period || 'daily';
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+
+  if (!['daily', 'weekly', 'all'].includes(period)) {
+    return res.status(400).json({ error: 'Period must be daily, weekly or all' });
+  }
+
+  res.json({ period, leaderboard: gameHistory.leaderboard(period, { limit }) });
+});
+
+// Step through a game's audit log, with the cards on the table after every entry.
+// A dealt hole card stays marked hidden until the entry that reveals it.
+function replaySteps(log) {
+  const hands = [];
+  let dealerHand = [];
+
+  return log.map(entry => {
+    if (entry.type === 'card' && entry.to === 'dealer') {
+      dealerHand.push({ ...entry.card, hidden: entry.hidden });
+    } else if (entry.type === 'card') {
+      hands[entry.hand] = hands[entry.hand] || [];
+      hands[entry.hand].push(entry.card);
+    } else if (entry.type === 'action' && entry.action === 'split') {
+      const [first, second] = hands[entry.hand];
+      hands.splice(entry.hand, 1, [first], [second]);
+    } else if (entry.type === 'reveal') {
+      dealerHand = dealerHand.map(card => ({ ...card, hidden: false }));
+    }
+
+    return {
+      ...entry,
+      table: {
+        hands: hands.map(hand => hand.slice()),
+        dealerHand: dealerHand.slice()
+      }
+    };
+  });
+}
+
+// Export a finished game's audit log as steps a client can replay
+app.get('/api/game/:gameId/replay', gameActionLimiter, requireSession, (req, res) => {
+  const { gameId } = req.params;
+  const record = gameLogs.get(gameId);
+
+  if (!record) {
+    const inProgress = Array.from(games.values()).some(game => game.gameId === gameId) ||
+      Array.from(tables.values()).some(table => gameId.startsWith(`${table.roundId}-`));
+    if (inProgress) {
+      return res.status(400).json({ error: 'The game has not ended yet' });
+    }
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  if (record.playerId !== req.playerId) {
+    return res.status(403).json({ error: 'Game belongs to another player' });
+  }
+
+  res.json({
+    gameId,
+    playerId: record.playerId,
+    tableId: record.tableId,
+    seat: record.seat,
+    steps: replaySteps(record.log)
+  });
+});
+
+// Public view of a withdrawal
+function describeWithdrawal(withdrawal) {
+  return {
+    withdrawalId: withdrawal.withdrawalId,
+    amount: withdrawal.amount,
+    status: withdrawal.status,
+    payoutId: withdrawal.payoutId,
+    signature: withdrawal.signature,
+    error: withdrawal.error,
+    createdAt: withdrawal.createdAt,
+    updatedAt: withdrawal.updatedAt,
+    confirmedAt: withdrawal.confirmedAt
+  };
+}
+
+// Balance of the player's wallet on the ledger
+app.get('/api/wallet/balance', gameActionLimiter, requireSession, (req, res) => {
+  const playerId = req.playerId;
+  const pending = Array.from(withdrawals.values())
+    .filter(withdrawal => withdrawal.playerId === playerId && !PAYOUT_FINAL_STATES.includes(withdrawal.status));
+
+  res.json({
+    playerId,
+    balance: getBalance(playerId),
+    pendingWithdrawals: roundTokens(pending.reduce((sum, withdrawal) => sum + withdrawal.amount, 0))
+  });
+});
+
+// Ledger transactions of the player's wallet, newest first
+app.get('/api/wallet/history', gameActionLimiter, requireSession, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const before = parseInt(req.query.before, 10) || Infinity;
+
+  res.json({
+    playerId: req.playerId,
+    transactions: ledger.history(playerAccount(req.playerId), { limit, before })
+  });
+});
+
+// Withdraw CARDS from the balance; the payout worker sends queued withdrawals in batches
+app.post('/api/wallet/withdraw', gameActionLimiter, requireSession, (req, res) => {
+  const playerId = req.playerId;
+  const { amount } = req.body;
+
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || roundTokens(amount) !== amount) {
+    return res.status(400).json({ error: 'Invalid withdrawal amount' });
+  }
+
+  if (amount < config.minWithdrawal) {
+    return res.status(400).json({ error: `Withdrawals must be at least ${config.minWithdrawal} CARDS` });
+  }
+
+  // The amount has to be sendable in the mint's base units
+  try {
+    toBaseUnits(amount, cardsMint.decimals);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid withdrawal amount', details: error.message });
+  }
+
+  const withdrawalId = generateSecureId();
+  try {
+    ledger.transfer({
+      id: `withdrawal:${withdrawalId}`,
+      type: 'withdrawal',
+      from: playerAccount(playerId),
+      to: WITHDRAWALS_ACCOUNT,
+      amount,
+      reference: withdrawalId
+    });
+  } catch (error) {
+    return res.status(400).json({ error: 'Withdrawal failed', details: error.message });
+  }
+
+  const now = Date.now();
+  const withdrawal = {
+    withdrawalId,
+    playerId,
+    amount,
+    status: 'pending',
+    payoutId: null,
+    signature: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    confirmedAt: null
+  };
+  withdrawals.set(withdrawalId, withdrawal);
+  req.log.info('Withdrawal requested', { withdrawalId, amount });
+
+  res.json({ ...describeWithdrawal(withdrawal), balance: getBalance(playerId) });
+});
+
+// The player's withdrawals, newest first
+app.get('/api/wallet/withdrawals', gameActionLimiter, requireSession, (req, res) => {
+  const list = Array.from(withdrawals.values())
+    .filter(withdrawal => withdrawal.playerId === req.playerId)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(describeWithdrawal);
+
+  res.json({ playerId: req.playerId, withdrawals: list });
+});
+
+// Where a finished game's winnings or a withdrawal went: winnings are credited to the balance by a
+// ledger transaction, withdrawals are sent on-chain by a payout transaction
+app.get('/api/payouts/:id', gameActionLimiter, requireSession, (req, res) => {
+  const { id } = req.params;
+
+  const withdrawal = withdrawals.get(id);
+  if (withdrawal) {
+    if (withdrawal.playerId !== req.playerId) {
+      return res.status(403).json({ error: 'Payout does not belong to this player' });
+    }
+    const payout = withdrawal.payoutId ? payouts.get(withdrawal.payoutId) : null;
+    return res.json({
+      ...describeWithdrawal(withdrawal),
+      gameId: null,
+      attempts: payout ? payout.attempts : 0
+    });
+  }
+
+  const game = completedGames.get(id) || gameHistory.entries.get(id);
+  if (!game) {
+    return res.status(404).json({ error: 'No payout found for this game or withdrawal' });
+  }
+  if (game.playerId !== req.playerId) {
+    return res.status(403).json({ error: 'Payout does not belong to this player' });
+  }
+
+  const transactionId = [`payout:${id}`, `void:${id}`].find(candidate => ledger.has(candidate)) || null;
+  res.json({
+    gameId: id,
+    withdrawalId: null,
+    amount: game.payoutAmount,
+    status: game.payoutStatus,
+    transactionId,
+    createdAt: game.timestamp
+  });
+});
+
+// Simulated chain only: mint CARDS to the player's wallet and deposit them to the treasury
+app.post('/api/wallet/simulated-deposit', gameActionLimiter, requireSession, async (req, res) => {
+  if (!(chain instanceof SimulatedChain)) {
+    return res.status(404).json({ error: 'Endpoint not found' });
+  }
+
+  const { amount } = req.body;
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0 || roundTokens(amount) !== amount) {
+    return res.status(400).json({ error: 'Invalid deposit amount' });
+  }
+
+  try {
+    chain.airdrop(req.playerId, amount);
+    const signature = chain.transfer(req.playerId, chain.treasuryWallet, amount);
+    await claimDeposit(req.playerId, signature);
+    req.log.info('Simulated deposit', { amount, signature });
+    res.json({ signature, amount, balance: getBalance(req.playerId) });
+  } catch (error) {
+    res.status(400).json({ error: 'Deposit failed', details: error.message });
+  }
+});
+
+// Place the bet that starts the round; it is taken from the player's balance,
+// after crediting the on-chain deposit in txSignature if one is given
+app.post('/api/game/bet', gameActionLimiter, requireSession, async (req, res) => {
+  const playerId = req.playerId;
+  const { amount, txSignature } = req.body;
+  const game = games.get(playerId);
+
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  if (txSignature !== undefined && (!txSignature || typeof txSignature !== 'string')) {
+    return res.status(400).json({ error: 'Invalid deposit transaction signature' });
+  }
+
+  // Check the bet before taking the player's funds
+  try {
+    game.checkBet(amount);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    await fundWager(playerId, amount, txSignature, game.gameId);
+  } catch (error) {
+    req.log.warn('Funding bet failed', { gameId: game.gameId, error: error.message });
+    return res.status(400).json({ error: 'Bet could not be funded', details: error.message });
+  }
+
+  try {
+    const state = await game.placeBet(amount, txSignature || null);
+    res.json(state);
+  } catch (error) {
+    refundWager(playerId, amount, game.gameId);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/game/hit', gameActionLimiter, requireSession, async (req, res) => {
+  const playerId = req.playerId;
+  const game = games.get(playerId);
+
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  // Verify that the game is not already completed
+  if (game.completed) {
+    return res.status(400).json({ error: 'Game is already completed' });
+  }
+
+  try {
+    const state = await game.hit();
+    res.json(state);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/game/stand', gameActionLimiter, requireSession, async (req, res) => {
+  const playerId = req.playerId;
+  const game = games.get(playerId);
+
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
   }
   
   // Verify that the game is not already completed
@@ -740,15 +3486,83 @@ app.post('/api/game/hit', gameActionLimiter, async (req, res) => {
   }
 
   try {
-    const state = await game.hit();
+    const state = await game.stand();
+    res.json(state);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Double down, split and insurance each take the additional wager from the player's
+// balance, after crediting the on-chain deposit in txSignature if one is given
+function paidActionHandler(action, perform) {
+  return async (req, res) => {
+    const { txSignature } = req.body;
+    const playerId = req.playerId;
+    const game = games.get(playerId);
+
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    if (game.completed) {
+      return res.status(400).json({ error: 'Game is already completed' });
+    }
+
+    // Check the action is possible before taking the player's payment
+    if (!game.getAvailableActions().includes(action)) {
+      return res.status(400).json({ error: `Cannot ${action} at this time` });
+    }
+
+    if (txSignature !== undefined && (!txSignature || typeof txSignature !== 'string')) {
+      return res.status(400).json({ error: 'Invalid deposit transaction signature' });
+    }
+
+    const amount = game.getActionCost(action);
+    try {
+      await fundWager(playerId, amount, txSignature, game.gameId);
+    } catch (error) {
+      req.log.warn('Funding action failed', { action, error: error.message });
+      return res.status(400).json({ error: `Could not fund ${action}`, details: error.message });
+    }
+
+    try {
+      const state = await perform(game, txSignature || null);
+      res.json(state);
+    } catch (error) {
+      refundWager(playerId, amount, game.gameId);
+      res.status(400).json({ error: error.message });
+    }
+  };
+}
+
+app.post('/api/game/double', gameActionLimiter, requireSession,
+  paidActionHandler('double', (game, signature) => game.doubleDown(signature)));
+
+app.post('/api/game/split', gameActionLimiter, requireSession,
+  paidActionHandler('split', (game, signature) => game.split(signature)));
+
+app.post('/api/game/insurance', gameActionLimiter, requireSession,
+  paidActionHandler('insurance', (game, signature) => game.takeInsurance(signature)));
+
+app.post('/api/game/insurance/decline', gameActionLimiter, requireSession, async (req, res) => {
+  const playerId = req.playerId;
+  const game = games.get(playerId);
+
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  try {
+    const state = await game.declineInsurance();
     res.json(state);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-app.post('/api/game/stand', gameActionLimiter, async (req, res) => {
-  const { playerId } = req.body;
+app.post('/api/game/surrender', gameActionLimiter, requireSession, async (req, res) => {
+  const playerId = req.playerId;
   const game = games.get(playerId);
 
   if (!game) {
@@ -761,57 +3575,79 @@ app.post('/api/game/stand', gameActionLimiter, async (req, res) => {
   }
 
   try {
-    const state = await game.stand();
+    const state = await game.surrender();
     res.json(state);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-app.get('/api/game/state/:playerId', gameActionLimiter, async (req, res) => {
-  const { playerId } = req.params;
-  console.log('Received get game state request for player:', playerId);
-  
-  // Validate player ID format
-  try {
-    new PublicKey(playerId);
-  } catch (error) {
-    console.error(`Invalid Solana address format: ${playerId}`);
-    return res.status(400).json({ error: 'Invalid player ID format. Must be a valid Solana address.' });
-  }
+app.get('/api/game/state/:playerId', gameActionLimiter, requireSession, async (req, res) => {
+  const playerId = req.playerId;
 
   const game = games.get(playerId);
   if (!game) {
-    console.error('Game not found for player:', playerId);
     return res.status(404).json({ error: 'Game not found' });
   }
 
   try {
     const gameState = await game.getGameState();
-    console.log('Returning game state:', gameState);
     res.json(gameState);
   } catch (error) {
-    console.error('Error getting game state:', error);
+    req.log.error('Error getting game state', { gameId: game.gameId, error });
     res.status(500).json({ error: 'Failed to get game state', details: error.message });
   }
 });
 
-// Add a Reset Game endpoint
-app.post('/api/game/reset', createGameLimiter, async (req, res) => {
-  const { playerId } = req.body;
-  console.log('Received reset game request for player:', playerId);
-
-  if (!playerId) {
-    console.error('No player ID provided');
-    return res.status(400).json({ error: 'Player ID is required' });
+// Basic-strategy advice for the active hand against the dealer's upcard
+app.get('/api/game/hint/:playerId', gameActionLimiter, requireSession, (req, res) => {
+  const game = games.get(req.playerId);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
   }
-  
-  // Validate player ID format
+
   try {
-    new PublicKey(playerId);
+    res.json(game.getHint());
   } catch (error) {
-    console.error(`Invalid Solana address format: ${playerId}`);
-    return res.status(400).json({ error: 'Invalid player ID format. Must be a valid Solana address.' });
+    res.status(400).json({ error: 'No hint available', details: error.message });
+  }
+});
+
+// Live events of the player's games and withdrawals: cards dealt, state changes,
+// results and payouts
+app.get('/api/game/events', sessionFromQuery, requireSession, (req, res) => {
+  streamEvents(req, res, `player:${req.playerId}`);
+});
+
+// Add a Reset Game endpoint
+app.post('/api/game/reset', createGameLimiter, requireSession, async (req, res) => {
+  const { clientSeed } = req.body;
+  const playerId = req.playerId;
+
+  if (!isValidClientSeed(clientSeed)) {
+    return res.status(400).json({ error: 'Client seed must be a string of 1-64 characters' });
+  }
+  if (clientSeed && !serverSeedCommitments.has(playerId)) {
+    return res.status(400).json({ error: 'No server seed is committed for your next shuffle', details: 'Call POST /api/game/commit before choosing a client seed' });
+  }
+
+  // Operators can pause new games
+  const pause = getGameCreationPause();
+  if (pause) {
+    return res.status(503).json({ error: 'New games are paused', details: pause.reason });
+  }
+
+  // A reset starts a new game, so it needs the same cover as one
+  const coverage = checkNewGameCoverage(RULES);
+  if (!coverage.ok) {
+    req.log.warn('Refusing game reset', { reason: coverage.reason });
+    return res.status(503).json({ error: 'New games are paused until the treasury can cover them', details: coverage.reason });
+  }
+
+  // A hand with a wager in play has to be finished (or time out) before it can be replaced
+  const current = games.get(playerId);
+  if (current && !current.completed && current.state !== 'WAITING_FOR_BET') {
+    return res.status(409).json({ error: 'Cannot reset a game in progress', details: 'Finish the current hand first' });
   }
 
   try {
@@ -822,55 +3658,642 @@ app.post('/api/game/reset', createGameLimiter, async (req, res) => {
     games.delete(playerId);
     
     // Create new game
-    const game = new BlackjackGame(playerId);
+    const game = new BlackjackGame(playerId, { clientSeed });
     games.set(playerId, game);
     
     const gameState = await game.getGameState();
-    console.log('Game reset successfully:', gameState);
+    req.log.info('Game reset', { gameId: game.gameId });
     res.json(gameState);
   } catch (error) {
-    console.error('Error resetting game:', error);
+    req.log.error('Error resetting game', { error });
     res.status(500).json({ error: 'Failed to reset game', details: error.message });
   }
 });
 
-// Endpoint do sprawdzania stanu serwera (tylko do testów/debugowania)
-if (process.env.NODE_ENV !== 'production') {
-  app.get('/api/debug/server-state', (req, res) => {
-    const activePlayersList = Array.from(activePlayers);
-    const completedGamesList = Array.from(completedGames.entries()).map(([gameId, data]) => ({
-      gameId,
-      ...data
-    }));
-    const paidRewardsList = Array.from(paidRewards.entries()).map(([key, status]) => ({
-      key,
-      status
+// Table where the player has a seat; a player sits at one table at a time
+function findPlayerTable(playerId) {
+  for (const table of tables.values()) {
+    if (table.findSeat(playerId)) {
+      return table;
+    }
+  }
+  return null;
+}
+
+// Open a multi-seat table; the player who opens it takes the first seat
+app.post('/api/tables', createGameLimiter, requireSession, (req, res) => {
+  const { name, seats = config.maxTableSeats } = req.body;
+  const playerId = req.playerId;
+
+  if (name !== undefined && (typeof name !== 'string' || name.length === 0 || name.length > 32)) {
+    return res.status(400).json({ error: 'Table name must be a string of 1-32 characters' });
+  }
+  if (!Number.isInteger(seats) || seats < 1 || seats > config.maxTableSeats) {
+    return res.status(400).json({ error: `Seats must be a whole number between 1 and ${config.maxTableSeats}` });
+  }
+  const seated = findPlayerTable(playerId);
+  if (seated) {
+    return res.status(400).json({ error: 'You are already seated at a table', details: seated.tableId });
+  }
+  if (tables.size >= config.maxTables) {
+    return res.status(503).json({ error: 'No more tables can be opened right now' });
+  }
+
+  // Operators can pause new games
+  const pause = getGameCreationPause();
+  if (pause) {
+    return res.status(503).json({ error: 'New games are paused', details: pause.reason });
+  }
+
+  try {
+    const table = new BlackjackTable({ name, seatCount: seats });
+    tables.set(table.tableId, table);
+    table.join(playerId);
+    req.log.info('Table opened', { tableId: table.tableId });
+    res.json(table.getTableState(playerId));
+  } catch (error) {
+    req.log.error('Error creating table', { error });
+    res.status(500).json({ error: 'Failed to create table', details: error.message });
+  }
+});
+
+app.get('/api/tables', (req, res) => {
+  res.json({ tables: Array.from(tables.values()).map(table => table.getSummary()) });
+});
+
+app.get('/api/tables/:tableId', gameActionLimiter, requireSession, (req, res) => {
+  const table = tables.get(req.params.tableId);
+  if (!table) {
+    return res.status(404).json({ error: 'Table not found' });
+  }
+  res.json(table.getTableState(req.playerId));
+});
+
+// Live events of a table: seats joining, betting and leaving, cards dealt, turns,
+// state changes and each seat's result
+app.get('/api/tables/:tableId/events', sessionFromQuery, requireSession, (req, res) => {
+  if (!tables.has(req.params.tableId)) {
+    return res.status(404).json({ error: 'Table not found' });
+  }
+  streamEvents(req, res, `table:${req.params.tableId}`);
+});
+
+app.post('/api/tables/:tableId/join', gameActionLimiter, requireSession, (req, res) => {
+  const { seat = null } = req.body;
+  const table = tables.get(req.params.tableId);
+  if (!table) {
+    return res.status(404).json({ error: 'Table not found' });
+  }
+
+  try {
+    table.join(req.playerId, seat);
+    res.json(table.getTableState(req.playerId));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/tables/:tableId/leave', gameActionLimiter, requireSession, (req, res) => {
+  const table = tables.get(req.params.tableId);
+  if (!table) {
+    return res.status(404).json({ error: 'Table not found' });
+  }
+
+  try {
+    table.leave(req.playerId);
+    res.json(table.getTableState(req.playerId));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Place a bet on the player's seat for the next round; it is taken from the player's
+// balance, after crediting the on-chain deposit in txSignature if one is given
+app.post('/api/tables/:tableId/bet', gameActionLimiter, requireSession, async (req, res) => {
+  const playerId = req.playerId;
+  const { amount, txSignature } = req.body;
+  const table = tables.get(req.params.tableId);
+
+  if (!table) {
+    return res.status(404).json({ error: 'Table not found' });
+  }
+
+  if (txSignature !== undefined && (!txSignature || typeof txSignature !== 'string')) {
+    return res.status(400).json({ error: 'Invalid deposit transaction signature' });
+  }
+
+  // Check the bet before taking the player's funds
+  let seat;
+  try {
+    seat = table.checkBet(playerId, amount);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  // Operators can pause new games
+  const pause = getGameCreationPause();
+  if (pause) {
+    return res.status(503).json({ error: 'New games are paused', details: pause.reason });
+  }
+
+  // Every seat's round needs the same cover as a game of its own
+  const coverage = checkNewGameCoverage(table.rules);
+  if (!coverage.ok) {
+    req.log.warn('Refusing table bet', { tableId: table.tableId, reason: coverage.reason });
+    return res.status(503).json({ error: 'New games are paused until the treasury can cover them', details: coverage.reason });
+  }
+
+  table.openBetting();
+  const gameId = table.seatGameId(seat);
+
+  try {
+    await fundWager(playerId, amount, txSignature, gameId);
+  } catch (error) {
+    req.log.warn('Funding table bet failed', { tableId: table.tableId, error: error.message });
+    return res.status(400).json({ error: 'Bet could not be funded', details: error.message });
+  }
+
+  try {
+    table.placeBet(playerId, amount, txSignature || null);
+    res.json(table.getTableState(playerId));
+  } catch (error) {
+    refundWager(playerId, amount, gameId);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Play an action on the caller's seat when it is their turn. Double and split take
+// the additional wager from the player's balance like paidActionHandler does.
+function tableActionHandler(action) {
+  return async (req, res) => {
+    const { txSignature } = req.body;
+    const playerId = req.playerId;
+    const table = tables.get(req.params.tableId);
+
+    if (!table) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
+    // Check the action is possible before taking the player's payment
+    if (!table.getAvailableActions(playerId).includes(action)) {
+      return res.status(400).json({ error: `Cannot ${action} at this time` });
+    }
+
+    if (txSignature !== undefined && (!txSignature || typeof txSignature !== 'string')) {
+      return res.status(400).json({ error: 'Invalid deposit transaction signature' });
+    }
+
+    const amount = table.getActionCost(playerId, action);
+    const gameId = table.seatGameId(table.findSeat(playerId));
+    if (amount > 0) {
+      try {
+        await fundWager(playerId, amount, txSignature, gameId);
+      } catch (error) {
+        req.log.warn('Funding action failed', { action, error: error.message });
+        return res.status(400).json({ error: `Could not fund ${action}`, details: error.message });
+      }
+    }
+
+    try {
+      table.act(playerId, action, txSignature || null);
+      res.json(table.getTableState(playerId));
+    } catch (error) {
+      if (amount > 0) {
+        refundWager(playerId, amount, gameId);
+      }
+      res.status(400).json({ error: error.message });
+    }
+  };
+}
+
+app.post('/api/tables/:tableId/hit', gameActionLimiter, requireSession, tableActionHandler('hit'));
+app.post('/api/tables/:tableId/stand', gameActionLimiter, requireSession, tableActionHandler('stand'));
+app.post('/api/tables/:tableId/double', gameActionLimiter, requireSession, tableActionHandler('double'));
+app.post('/api/tables/:tableId/split', gameActionLimiter, requireSession, tableActionHandler('split'));
+app.post('/api/tables/:tableId/surrender', gameActionLimiter, requireSession, tableActionHandler('surrender'));
+
+// Compare secrets in constant time
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Admin routes take the X-Admin-Key header, or a session of one of the ADMIN_WALLETS
+function requireAdmin(req, res, next) {
+  const apiKey = req.get('X-Admin-Key');
+  if (apiKey && config.adminApiKey && safeEqual(apiKey, config.adminApiKey)) {
+    req.admin = 'api-key';
+    return next();
+  }
+
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const session = token && sessions.get(token);
+  if (session && session.expiresAt >= Date.now() && config.adminWallets.includes(session.playerId)) {
+    req.admin = session.playerId;
+    return next();
+  }
+
+  req.log.warn('Rejected admin request', { method: req.method, path: req.path, ip: req.ip });
+  res.status(401).json({ error: 'Admin credentials required' });
+}
+
+// Record an admin action in the audit log
+function auditAdminAction(req, action, details = {}) {
+  const entry = {
+    id: crypto.randomUUID(),
+    admin: req.admin,
+    action,
+    details,
+    ip: req.ip,
+    timestamp: Date.now()
+  };
+  adminAudit.set(entry.id, entry);
+  req.log.info('Admin action', { admin: req.admin, action, details });
+  return entry;
+}
+
+// Games in progress, open tables and the players marked active
+app.get('/api/admin/games', requireAdmin, (req, res) => {
+  const liveGames = Array.from(games.values())
+    .filter(game => !game.completed)
+    .map(game => ({
+      playerId: game.playerId,
+      gameId: game.gameId,
+      state: game.state,
+      currentBet: game.currentBet,
+      active: activePlayers.has(game.playerId)
     }));
-    
-    res.json({
-      activePlayers: activePlayersList,
-      activePlayerCount: activePlayersList.length,
-      completedGames: completedGamesList,
-      completedGameCount: completedGamesList.length,
-      paidRewards: paidRewardsList,
-      paidRewardsCount: paidRewardsList.length,
-      totalGames: games.size
-    });
+
+  res.json({
+    games: liveGames,
+    tables: Array.from(tables.values()).map(table => table.getSummary()),
+    activePlayers: Array.from(activePlayers),
+    gameCreationPause: getGameCreationPause()
+  });
+});
+
+// A player's current game as stored, hole card and audit log included
+app.get('/api/admin/games/:playerId', requireAdmin, (req, res) => {
+  const game = games.get(req.params.playerId);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  res.json({ game, active: activePlayers.has(game.playerId), balance: getBalance(game.playerId) });
+});
+
+// Void a player's unfinished game and return what they wagered on it
+app.post('/api/admin/games/:playerId/void', requireAdmin, (req, res) => {
+  const { reason } = req.body;
+  const game = games.get(req.params.playerId);
+
+  if (!reason || typeof reason !== 'string') {
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  try {
+    const gameId = game.gameId;
+    game.voidGame(reason);
+    auditAdminAction(req, 'void-game', { playerId: game.playerId, gameId, refund: game.payoutAmount, reason });
+    res.json({ gameId, refund: game.payoutAmount, balance: getBalance(game.playerId) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/payouts', requireAdmin, (req, res) => {
+  const { status } = req.query;
+  const list = Array.from(payouts.values())
+    .filter(payout => !status || payout.status === status)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(({ transaction, ...payout }) => payout);
+
+  res.json({ payouts: list });
+});
+
+// Send a pending or expired payout on the next worker run, with its attempts reset.
+// Failed payouts are not retried: their withdrawals are already back on the players' balances.
+app.post('/api/admin/payouts/:payoutId/retry', requireAdmin, (req, res) => {
+  const payout = payouts.get(req.params.payoutId);
+  if (!payout) {
+    return res.status(404).json({ error: 'Payout not found' });
+  }
+  if (payout.status !== 'pending' && payout.status !== 'expired') {
+    return res.status(400).json({ error: `A ${payout.status} payout cannot be retried` });
+  }
+
+  const updated = updatePayout(payout, { attempts: 0, nextAttemptAt: Date.now(), error: null });
+  auditAdminAction(req, 'retry-payout', { payoutId: payout.payoutId, previousAttempts: payout.attempts });
+  const { transaction, ...view } = updated;
+  res.json(view);
+});
+
+// Whether a submitted payout's transaction can no longer land: it failed on-chain, or it is
+// unknown to the cluster and its blockhash has expired
+async function payoutTransactionDead(payout) {
+  const blockHeight = await chain.getBlockHeight();
+  const status = await chain.getSignatureStatus(payout.signature);
+  if (status) {
+    return Boolean(status.err);
+  }
+  return blockHeight > payout.lastValidBlockHeight;
+}
+
+// Settle an unsettled payout by hand once its outcome has been checked on-chain.
+// Marking it failed returns its withdrawals to the players' balances, so a submitted
+// payout can only be marked failed once its transaction can no longer land.
+app.post('/api/admin/payouts/:payoutId/mark', requireAdmin, async (req, res) => {
+  const { status, signature, reason } = req.body;
+  const payout = payouts.get(req.params.payoutId);
+
+  if (!payout) {
+    return res.status(404).json({ error: 'Payout not found' });
+  }
+  if (status !== 'confirmed' && status !== 'failed') {
+    return res.status(400).json({ error: 'Status must be confirmed or failed' });
+  }
+  if (!reason || typeof reason !== 'string') {
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+  if (PAYOUT_FINAL_STATES.includes(payout.status)) {
+    return res.status(400).json({ error: `Payout is already ${payout.status}` });
+  }
+  if (status === 'confirmed' && !signature && !payout.signature) {
+    return res.status(400).json({ error: 'The signature of the transaction that paid it is required' });
+  }
+  if (status === 'failed' && payout.status === 'submitted') {
+    let dead;
+    try {
+      dead = await payoutTransactionDead(payout);
+    } catch (error) {
+      return res.status(503).json({ error: 'Could not check the payout transaction', details: error.message });
+    }
+    if (!dead) {
+      return res.status(409).json({
+        error: 'The payout transaction can still land',
+        details: 'It has not failed on-chain and its blockhash is still valid, or it has landed'
+      });
+    }
+  }
+
+  // The worker may have settled it while the chain was checked
+  if (PAYOUT_FINAL_STATES.includes(payouts.get(payout.payoutId).status)) {
+    return res.status(400).json({ error: `Payout is already ${payouts.get(payout.payoutId).status}` });
+  }
+
+  const updated = updatePayout(payout, {
+    status,
+    signature: signature || payout.signature,
+    transaction: null,
+    confirmedAt: status === 'confirmed' ? Date.now() : null,
+    error: status === 'failed' ? `Marked failed by an operator: ${reason}` : null
   });
-} else {
+  auditAdminAction(req, 'mark-payout', {
+    payoutId: payout.payoutId,
+    from: payout.status,
+    to: status,
+    signature: updated.signature,
+    reason
+  });
+  const { transaction, ...view } = updated;
+  res.json(view);
+});
+
+// Clear a stuck wallet's active game flag so it can start a new game. An unfinished game
+// is voided first, so what was wagered on it goes back to the player's balance.
+app.post('/api/admin/players/:playerId/kick', requireAdmin, (req, res) => {
+  const { playerId } = req.params;
+  const reason = typeof req.body.reason === 'string' && req.body.reason ? req.body.reason : 'Kicked by an operator';
+  if (!activePlayers.has(playerId)) {
+    return res.status(404).json({ error: 'Player is not active' });
+  }
+
+  const game = games.get(playerId);
+  let voided = null;
+  if (game && !game.completed) {
+    try {
+      game.voidGame(reason);
+    } catch (error) {
+      return res.status(400).json({ error: 'Could not void the game', details: error.message });
+    }
+    voided = { gameId: game.gameId, refund: game.payoutAmount };
+  }
+
+  activePlayers.delete(playerId);
+  auditAdminAction(req, 'kick-player', { playerId, voided, reason });
+  res.json({ playerId, active: false, voided, balance: getBalance(playerId) });
+});
+
+// Stop or restart new games, table bets included; games in progress carry on
+app.post('/api/admin/game-creation/pause', requireAdmin, (req, res) => {
+  const { reason } = req.body;
+  if (!reason || typeof reason !== 'string') {
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+
+  const pause = { reason, pausedBy: req.admin, pausedAt: Date.now() };
+  settings.set('gameCreationPause', pause);
+  auditAdminAction(req, 'pause-game-creation', { reason });
+  res.json({ gameCreationPause: pause });
+});
+
+app.post('/api/admin/game-creation/resume', requireAdmin, (req, res) => {
+  const pause = getGameCreationPause();
+  if (!pause) {
+    return res.status(400).json({ error: 'New games are not paused' });
+  }
+
+  settings.delete('gameCreationPause');
+  auditAdminAction(req, 'resume-game-creation', { pausedAt: pause.pausedAt, reason: pause.reason });
+  res.json({ gameCreationPause: null });
+});
+
+// Admin actions, newest first
+app.get('/api/admin/audit', requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const before = parseInt(req.query.before, 10) || Infinity;
+
+  const entries = Array.from(adminAudit.values())
+    .filter(entry => entry.timestamp < before)
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, limit);
+  res.json({ entries });
+});
+
+// Endpoint do sprawdzania stanu serwera (tylko do testów/debugowania)
+app.get('/api/debug/server-state', (req, res) => {
   // In production, return 404 for this endpoint
-  app.get('/api/debug/server-state', (req, res) => {
-    res.status(404).json({ error: 'Endpoint not found' });
+  if (config.production) {
+    return res.status(404).json({ error: 'Endpoint not found' });
+  }
+
+  const activePlayersList = Array.from(activePlayers);
+  const completedGamesList = Array.from(completedGames.entries()).map(([gameId, data]) => ({
+    gameId,
+    ...data
+  }));
+  const payoutsList = Array.from(payouts.values());
+  
+  res.json({
+    activePlayers: activePlayersList,
+    activePlayerCount: activePlayersList.length,
+    completedGames: completedGamesList,
+    completedGameCount: completedGamesList.length,
+    payouts: payoutsList,
+    payoutsCount: payoutsList.length,
+    withdrawals: Array.from(withdrawals.values()),
+    tables: Array.from(tables.values()).map(table => table.getSummary()),
+    ledgerAccounts: {
+      external: ledger.balance(EXTERNAL_ACCOUNT),
+      house: ledger.balance(HOUSE_ACCOUNT),
+      withdrawals: ledger.balance(WITHDRAWALS_ACCOUNT)
+    },
+    totalGames: games.size
+  });
+});
+
+// Chain adapter the configuration asks for: the in-memory chain for SOLANA_NETWORK=simulated, otherwise an RPC node
+function createChain() {
+  if (config.solanaNetwork === 'simulated') {
+    return new SimulatedChain({
+      treasuryWallet: config.treasuryWallet,
+      treasuryCards: config.simulatedTreasuryCards,
+      treasurySol: config.simulatedTreasurySol,
+      random
+    });
+  }
+
+  // Without a seed (refused in production) payouts are signed by a keypair that holds nothing
+  let treasuryKeypair;
+  if (config.treasurySeed) {
+    treasuryKeypair = parseTreasurySeed(config.treasurySeed);
+    logger.info('Treasury wallet loaded', { wallet: treasuryKeypair.publicKey.toString() });
+  } else {
+    treasuryKeypair = Keypair.generate();
+    logger.warn('Using generated keypair for demo (no funds)', { wallet: treasuryKeypair.publicKey.toString() });
+  }
+
+  return new SolanaChain({
+    network: config.solanaNetwork,
+    endpoint: config.solanaRpcUrl || undefined,
+    commitment: config.solanaCommitment,
+    mintAddress: config.tokenMint,
+    depositWallet: config.treasuryWallet,
+    treasuryKeypair
+  });
+}
+
+// Set up the server around a configuration (from loadConfig), a rules profile, a chain adapter
+// and a random source, each taken from the environment unless given; throws if the configuration
+// or rules are invalid. Game state lives in module-level collections, so this can only be called
+// once per process. Nothing touches the network or arms a timer until start().
+// With persist: false the store is kept in memory only, e.g. for the simulator.
+let appCreated = false;
+function createApp(options = {}) {
+  if (appCreated) {
+    throw new Error('createApp can only be called once per process');
+  }
+
+  config = options.config || loadConfig();
+  logger.setLevel(config.logLevel);
+  RULES = options.rules ? Object.freeze(validateRules({ ...DEFAULT_RULES, ...options.rules })) : loadRules();
+  appCreated = true;
+
+  // Startup summary, secrets redacted
+  logger.info('Configuration', { config: describeConfig(config) });
+  for (const warning of config.warnings) {
+    logger.warn('Configuration warning', { warning });
+  }
+  logger.info('Table rules loaded', { rules: RULES });
+  gameEvents.bufferSize = config.eventBufferSize;
+
+  random = options.random || (config.randomSeed ? seededRandom(config.randomSeed) : secureRandom);
+  chain = options.chain || createChain();
+
+  // Rebuild in-memory state from the persistent log. The simulated chain starts empty on every
+  // run, so its games are kept in memory unless asked for, and never next to a real network's log.
+  const persist = options.persist !== undefined ? options.persist : config.solanaNetwork !== 'simulated';
+  if (persist && config.solanaNetwork === 'simulated' && path.resolve(config.dataDir) === path.resolve(SCHEMA.dataDir.default)) {
+    throw new Error('Persisting the simulated chain needs a DATA_DIR of its own');
+  }
+  store.retain('gameHistory', config.historyRetentionDays * 24 * 60 * 60 * 1000, entry => entry.timestamp);
+  store.retain('gameLogs', config.historyRetentionDays * 24 * 60 * 60 * 1000, record => record.timestamp);
+  store.load({ dataDir: config.dataDir, persist });
+  ledger.rebuild();
+  gameHistory.rebuild();
+  for (const game of games.values()) {
+    if (!game.completed) {
+      activePlayers.add(game.playerId);
+    }
+    scheduleGameExpiry(game);
+  }
+  for (const table of tables.values()) {
+    table.scheduleTimer();
+  }
+  // Shoes evicted before their shuffle was retired on eviction still get their seeds revealed
+  for (const record of shuffles.values()) {
+    if (!record.retiredAt && !shoes.has(record.shoeId)) {
+      retireShuffle(record.shuffleId);
+    }
+  }
+  logger.info('Restored state', {
+    games: games.size,
+    inProgress: activePlayers.size,
+    tables: tables.size,
+    completedGames: completedGames.size
   });
+
+  // Watch for deposits, poll withdrawals and unsettled payouts, and monitor treasury balances
+  scheduler.every('deposits', config.depositPollInterval, pollDeposits);
+  scheduler.every('payouts', config.payoutPollInterval, runPayoutWorker);
+  scheduler.every('treasury', config.treasuryPollInterval, refreshTreasuryBalances);
+
+  let server = null;
+
+  // Read the CARDS mint before serving: deposits and payouts depend on its token program and decimals
+  async function start(port) {
+    cardsMint = await chain.load();
+    logger.info('CARDS mint loaded', { network: config.solanaNetwork, ...cardsMint });
+    await refreshTreasuryBalances();
+    scheduler.start();
+
+    await new Promise((resolve, reject) => {
+      server = app.listen(port, resolve);
+      server.once('error', reject);
+    });
+    logger.info('Server running', { port: server.address().port, environment: config.nodeEnv });
+    return server;
+  }
+
+  // Stop the timers and the listener; open event streams are not waited for
+  function stop() {
+    scheduler.stop();
+    if (server) {
+      server.close();
+      server = null;
+    }
+  }
+
+  return { app, chain, store, start, stop };
 }
 
-const PORT = process.env.PORT || 3002;
-app.listen(PORT, async () => {
+if (require.main === module) {
+  let server;
   try {
-    console.log(`Server running on port ${PORT}`);
-    console.log('Environment:', process.env.NODE_ENV || 'development');
+    server = createApp();
   } catch (error) {
-    console.error('Failed to start server:', error);
+    logger.error('Invalid configuration', { errors: error.errors || [error.message] });
     process.exit(1);
   }
-}); 
+  server.start(config.port).catch(error => {
+    logger.error('Failed to start server', { error: error.message });
+    process.exit(1);
+  });
+}
+
+module.exports = { createApp, BlackjackGame };
@@ -0,0 +1,329 @@
+const { Connection, PublicKey, Transaction, Keypair, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const {
+  createTransferCheckedInstruction,
+  createTransferCheckedWithFeeInstruction,
+  createAssociatedTokenAccountIdempotentInstruction,
+  getAssociatedTokenAddress
+} = require('@solana/spl-token');
+const bs58 = require('bs58');
+const BN = require('bn.js');
+const { loadMintInfo, toBaseUnits, fromBaseUnits, transferFee } = require('./token');
+
+// Every read and write the server makes on Solana goes through a chain adapter.
+// SolanaChain talks to an RPC node; SimulatedChain (simulated_chain.js) keeps an
+// in-memory token ledger with the same interface:
+//
+//   load()                          mint description: { address, programName, decimals, transferFeeBps }
+//   treasuryWallet                  wallet that pays out and holds the treasury's SOL and CARDS
+//   getDeposits(signature)          finalized transaction's CARDS transfers into the treasury, or null
+//   listDepositSignatures(until, { since })
+//                                   treasury transactions newer than `until` and no older than
+//                                   `since` (unix seconds, optional), newest first
+//   buildPayout(transfers, limits)  signed payout transaction, serialized, with the transfers it can't pay
+//   sendTransaction(serialized)     send (or rebroadcast) a serialized transaction
+//   getSignatureStatus(signature)   { confirmed, err } once the transaction landed, otherwise null
+//   getBlockHeight()                current block height, for blockhash expiry
+//   getTreasuryBalances()           { sol, cards }
+
+const RPC_ENDPOINTS = {
+  'mainnet-beta': 'https://api.mainnet-beta.solana.com',
+  testnet: 'https://api.testnet.solana.com',
+  devnet: 'https://api.devnet.solana.com'
+};
+
+// Treasury keypair from TREASURY_SEED: a JSON array of secret key bytes or a base58 secret key
+function parseTreasurySeed(seed) {
+  if (seed.startsWith('[') && seed.endsWith(']')) {
+    try {
+      return Keypair.fromSecretKey(new Uint8Array(JSON.parse(seed)));
+    } catch (e) {
+      throw new Error('Invalid seed array format');
+    }
+  }
+
+  try {
+    return Keypair.fromSecretKey(bs58.decode(seed));
+  } catch (e) {
+    throw new Error('Invalid base58 private key format');
+  }
+}
+
+class SolanaChain {
+  // Deposits are watched on depositWallet's token account; payouts are sent from the treasury keypair's.
+  // Reads and payouts use `commitment` (confirmed or finalized); deposits are only credited once finalized.
+  constructor({
+    network = 'devnet',
+    endpoint = RPC_ENDPOINTS[network],
+    commitment = 'confirmed',
+    mintAddress,
+    depositWallet,
+    treasuryKeypair
+  }) {
+    if (!endpoint) {
+      throw new Error(`Unknown Solana network ${network}`);
+    }
+    this.network = network;
+    this.commitment = commitment;
+    this.connection = new Connection(endpoint, commitment);
+    this.mintAddress = mintAddress;
+    this.depositWallet = depositWallet;
+    this.treasuryKeypair = treasuryKeypair;
+    this.treasuryWallet = treasuryKeypair.publicKey.toString();
+    this.mint = null; // Token program, decimals and transfer fee of the CARDS mint, once loaded
+  }
+
+  async load() {
+    this.mint = await loadMintInfo(this.connection, this.mintAddress);
+    return {
+      address: this.mintAddress,
+      programName: this.mint.programName,
+      decimals: this.mint.decimals,
+      transferFeeBps: this.mint.transferFeeConfig
+        ? this.mint.transferFeeConfig.newerTransferFee.transferFeeBasisPoints
+        : null
+    };
+  }
+
+  // Associated token account of a wallet for the CARDS mint
+  tokenAccount(owner) {
+    return getAssociatedTokenAddress(this.mint.address, new PublicKey(owner), false, this.mint.programId);
+  }
+
+  // Every CARDS transfer into the treasury token account in a finalized transaction,
+  // summed per sending wallet (in the mint's base units, after any transfer fee).
+  // Null when the transaction isn't found or not finalized yet.
+  async getDeposits(signature) {
+    // Only finalized transactions are returned with this commitment
+    const transaction = await this.connection.getParsedTransaction(signature, {
+      commitment: 'finalized',
+      maxSupportedTransactionVersion: 0
+    });
+    if (!transaction) {
+      return null;
+    }
+    if (!transaction.meta || transaction.meta.err) {
+      return { err: (transaction.meta && transaction.meta.err) || 'Transaction has no status', blockTime: transaction.blockTime, deposits: new Map() };
+    }
+
+    const treasuryTokenAccount = (await this.tokenAccount(this.depositWallet)).toString();
+
+    // Collect top-level and inner instructions
+    const instructions = [
+      ...transaction.transaction.message.instructions,
+      ...(transaction.meta.innerInstructions || []).flatMap(inner => inner.instructions)
+    ];
+
+    const deposits = new Map();
+    for (const instruction of instructions) {
+      if (!instruction.parsed || !instruction.programId.equals(this.mint.programId)) {
+        continue;
+      }
+
+      const { type, info } = instruction.parsed;
+      if (type !== 'transfer' && type !== 'transferChecked' && type !== 'transferCheckedWithFee') {
+        continue;
+      }
+
+      if (info.destination !== treasuryTokenAccount || !info.authority) {
+        continue;
+      }
+
+      if (type !== 'transfer' && info.mint !== this.mintAddress) {
+        continue;
+      }
+
+      // Only transfers from the sender's own associated token account are credited to them
+      const senderTokenAccount = await this.tokenAccount(info.authority);
+      if (info.source !== senderTokenAccount.toString()) {
+        continue;
+      }
+
+      let amount = new BN(type === 'transfer' ? info.amount : info.tokenAmount.amount);
+      // The treasury only receives what is left after the mint's transfer fee
+      if (type === 'transferCheckedWithFee') {
+        amount = amount.sub(new BN(info.feeAmount.amount));
+      } else if (this.mint.transferFeeConfig) {
+        amount = amount.sub(transferFee(this.mint, this.mint.epochSchedule.getEpoch(transaction.slot), amount));
+      }
+      deposits.set(info.authority, (deposits.get(info.authority) || new BN(0)).add(amount));
+    }
+
+    return { err: null, blockTime: transaction.blockTime, deposits };
+  }
+
+  // Finalized transactions on the treasury token account newer than `until`, newest first
+  async listDepositSignatures(until, { since = null } = {}) {
+    const treasuryTokenAccount = await this.tokenAccount(this.depositWallet);
+    const pageSize = 100;
+    const tooOld = info => since !== null && (info.blockTime || 0) < since;
+
+    // Page back until the last signature already processed, or the first one older than `since`
+    const found = [];
+    let before;
+    for (;;) {
+      const page = await this.connection.getSignaturesForAddress(treasuryTokenAccount, {
+        before,
+        until: until || undefined,
+        limit: pageSize
+      }, 'finalized');
+      found.push(...page.filter(info => !tooOld(info)));
+      if (page.length < pageSize || page.some(tooOld)) break;
+      before = page[page.length - 1].signature;
+    }
+
+    return found.map(({ signature, err, blockTime }) => ({ signature, err, blockTime }));
+  }
+
+  // Build and sign the CARDS token transaction paying the transfers. Receivers without a
+  // token account get one created, up to accountCreationsAllowed; the others are rejected.
+  async buildPayout(transfers, { accountCreationsAllowed }) {
+    const treasuryPublicKey = this.treasuryKeypair.publicKey;
+    const treasuryTokenAccount = await this.tokenAccount(treasuryPublicKey);
+    // Transfer fees can change per epoch
+    const epoch = this.mint.transferFeeConfig ? (await this.connection.getEpochInfo(this.commitment)).epoch : null;
+
+    const transaction = new Transaction();
+    const accountCreations = []; // Receiver token accounts this transaction creates
+    const rejected = []; // Transfers that can't be paid, with the reason
+    let creationsAllowed = accountCreationsAllowed;
+    let rentPerAccount = null;
+
+    for (const transfer of transfers) {
+      // Validate receiver address is a valid Solana public key
+      let receiverPublicKey;
+      try {
+        receiverPublicKey = new PublicKey(transfer.playerId);
+      } catch (error) {
+        throw new Error(`Invalid Solana address format: ${transfer.playerId}`);
+      }
+
+      const receiverTokenAccount = await this.tokenAccount(receiverPublicKey);
+
+      // First-time receivers get their token account created, paid by the treasury
+      const receiverTokenAccountInfo = await this.connection.getAccountInfo(receiverTokenAccount);
+      if (!receiverTokenAccountInfo) {
+        if (creationsAllowed <= 0) {
+          rejected.push({ transfer, reason: 'Receiver needs to create a CARDS token account first' });
+          continue;
+        }
+
+        if (rentPerAccount === null) {
+          rentPerAccount = await this.connection.getMinimumBalanceForRentExemption(this.mint.accountSize);
+        }
+        creationsAllowed -= 1;
+        accountCreations.push({
+          playerId: transfer.playerId,
+          tokenAccount: receiverTokenAccount.toString(),
+          lamports: rentPerAccount
+        });
+
+        // Idempotent, so the transaction still succeeds if the player creates it first
+        transaction.add(
+          createAssociatedTokenAccountIdempotentInstruction(
+            treasuryPublicKey,         // payer
+            receiverTokenAccount,      // associated token account
+            receiverPublicKey,         // owner
+            this.mint.address,         // mint
+            this.mint.programId        // programId
+          )
+        );
+      }
+
+      // Token amount in the mint's base units
+      const tokenAmount = toBaseUnits(transfer.amount, this.mint.decimals);
+
+      // Add token transfer instruction; with a transfer fee the expected fee is stated
+      // so the transfer fails rather than withholding more than expected
+      if (this.mint.transferFeeConfig) {
+        const fee = transferFee(this.mint, epoch, tokenAmount);
+        transaction.add(
+          createTransferCheckedWithFeeInstruction(
+            treasuryTokenAccount,        // source
+            this.mint.address,           // mint
+            receiverTokenAccount,        // destination
+            treasuryPublicKey,           // owner
+            BigInt(tokenAmount.toString()), // amount in base units
+            this.mint.decimals,          // decimals
+            BigInt(fee.toString()),      // fee withheld from the receiver
+            [],                          // multisigners
+            this.mint.programId          // programId
+          )
+        );
+      } else {
+        transaction.add(
+          createTransferCheckedInstruction(
+            treasuryTokenAccount,        // source
+            this.mint.address,           // mint
+            receiverTokenAccount,        // destination
+            treasuryPublicKey,           // owner
+            BigInt(tokenAmount.toString()), // amount in base units
+            this.mint.decimals,          // decimals
+            [],                          // multisigners
+            this.mint.programId          // programId
+          )
+        );
+      }
+    }
+
+    // Nothing left to send
+    if (rejected.length === transfers.length) {
+      return { transaction: null, rejected, accountCreations };
+    }
+
+    // Set recent blockhash and fee payer
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash(this.commitment);
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = treasuryPublicKey;
+    transaction.sign(this.treasuryKeypair);
+
+    return {
+      transaction: transaction.serialize().toString('base64'),
+      signature: bs58.encode(transaction.signature),
+      blockhash,
+      lastValidBlockHeight,
+      rejected,
+      accountCreations
+    };
+  }
+
+  // A rebroadcast skips preflight, since the first send already passed it
+  async sendTransaction(serialized, { rebroadcast = false } = {}) {
+    const options = rebroadcast ? { skipPreflight: true, maxRetries: 0 } : { maxRetries: 5 };
+    await this.connection.sendRawTransaction(Buffer.from(serialized, 'base64'), options);
+  }
+
+  async getSignatureStatus(signature) {
+    const { value } = await this.connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+    const status = value[0];
+    if (!status) {
+      return null;
+    }
+    return {
+      err: status.err,
+      confirmed: status.confirmationStatus === 'finalized' ||
+        (this.commitment === 'confirmed' && status.confirmationStatus === 'confirmed')
+    };
+  }
+
+  getBlockHeight() {
+    return this.connection.getBlockHeight(this.commitment);
+  }
+
+  // SOL on the treasury wallet (for transaction fees) and CARDS on its token account
+  async getTreasuryBalances() {
+    const publicKey = this.treasuryKeypair.publicKey;
+    const lamports = await this.connection.getBalance(publicKey, this.commitment);
+    const tokenAccount = await this.tokenAccount(publicKey);
+
+    // A token account that doesn't exist yet holds no CARDS
+    let cards = 0;
+    if (await this.connection.getAccountInfo(tokenAccount)) {
+      const { value } = await this.connection.getTokenAccountBalance(tokenAccount, this.commitment);
+      cards = fromBaseUnits(value.amount, this.mint.decimals);
+    }
+
+    return { sol: lamports / LAMPORTS_PER_SOL, cards };
+  }
+}
+
+module.exports = { SolanaChain, parseTreasurySeed, RPC_ENDPOINTS };
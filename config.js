@@ -0,0 +1,263 @@
+const path = require('path');
+const { PublicKey } = require('@solana/web3.js');
+const { parseTreasurySeed, RPC_ENDPOINTS } = require('./chain');
+const { LEVELS } = require('./logger');
+
+// Server configuration from the environment. Every setting is declared once in
+// SCHEMA with its variable, type, default and bounds; loadConfig checks them all
+// and reports every problem at once. Secrets are never written to the log.
+
+// Addresses used outside production when TREASURY_WALLET or TOKEN_MINT is unset
+const DEVNET_TREASURY_WALLET = '8VPZGxMMcyFykMPAApeyhsNwVtrgXZYpu28Rm2iLknbq';
+const DEVNET_TOKEN_MINT = '5Xbscj1D5R3RrSpeQyYe4zCkdGqZTrjxVuNszrhDacjv';
+
+const SCHEMA = {
+  nodeEnv: { env: 'NODE_ENV', type: 'string', default: 'development' },
+  port: { env: 'PORT', type: 'integer', default: 3002, min: 0, max: 65535 },
+  logLevel: { env: 'LOG_LEVEL', type: 'enum', values: Object.keys(LEVELS), default: 'info' },
+  dataDir: { env: 'DATA_DIR', type: 'string', default: path.join(__dirname, 'data') },
+
+  // Solana
+  solanaNetwork: { env: 'SOLANA_NETWORK', type: 'enum', values: [...Object.keys(RPC_ENDPOINTS), 'simulated'], default: 'devnet' },
+  // Provider URLs often carry an API key in the path or query, so only the host is logged
+  solanaRpcUrl: { env: 'SOLANA_RPC_URL', type: 'url', default: null, secret: 'path' },
+  // Processed is refused: a payout seen at that level can still be rolled back
+  solanaCommitment: { env: 'SOLANA_COMMITMENT', type: 'enum', values: ['confirmed', 'finalized'], default: 'confirmed' },
+  treasuryWallet: { env: 'TREASURY_WALLET', type: 'address', default: null },
+  treasurySeed: { env: 'TREASURY_SEED', type: 'string', default: null, secret: true },
+  tokenMint: { env: 'TOKEN_MINT', type: 'address', default: null },
+  simulatedTreasuryCards: { env: 'SIMULATED_TREASURY_CARDS', type: 'number', default: 1000000, min: 0 },
+  simulatedTreasurySol: { env: 'SIMULATED_TREASURY_SOL', type: 'number', default: 10, min: 0 },
+  randomSeed: { env: 'RANDOM_SEED', type: 'string', default: null, secret: true },
+
+  // Deposits, withdrawals and payouts. Deposits older than DEPOSIT_MAX_AGE (seconds) are rejected;
+  // each payout transaction pays up to WITHDRAWAL_BATCH_SIZE withdrawals. Intervals are milliseconds.
+  depositMaxAge: { env: 'DEPOSIT_MAX_AGE', type: 'integer', default: 10 * 60, min: 1 },
+  depositPollInterval: { env: 'DEPOSIT_POLL_INTERVAL', type: 'integer', default: 15000, min: 1 },
+  // Each transfer may also create the receiver's token account; more than 8 of both can
+  // exceed Solana's 1232-byte transaction limit
+  withdrawalBatchSize: { env: 'WITHDRAWAL_BATCH_SIZE', type: 'integer', default: 8, min: 1, max: 8 },
+  minWithdrawal: { env: 'MIN_WITHDRAWAL', type: 'number', default: 1, min: 0 },
+  payoutMaxAttempts: { env: 'PAYOUT_MAX_ATTEMPTS', type: 'integer', default: 5, min: 1 },
+  payoutPollInterval: { env: 'PAYOUT_POLL_INTERVAL', type: 'integer', default: 5000, min: 1 },
+  // Most CARDS token accounts the treasury pays to create for players receiving a payout,
+  // in any TOKEN_ACCOUNT_CREATION_WINDOW (milliseconds)
+  maxTokenAccountCreations: { env: 'MAX_TOKEN_ACCOUNT_CREATIONS', type: 'integer', default: 100, min: 0 },
+  tokenAccountCreationWindow: { env: 'TOKEN_ACCOUNT_CREATION_WINDOW', type: 'integer', default: 24 * 60 * 60 * 1000, min: 1 },
+
+  // Treasury monitor: how often balances are read (milliseconds), and the SOL left for fees and
+  // CARDS left after liabilities that raise a low-balance alert
+  treasuryPollInterval: { env: 'TREASURY_POLL_INTERVAL', type: 'integer', default: 30000, min: 1 },
+  lowSolBalance: { env: 'LOW_SOL_BALANCE', type: 'number', default: 0.05, min: 0 },
+  lowCardsBalance: { env: 'LOW_CARDS_BALANCE', type: 'number', default: 100, min: 0 },
+
+  // Tables and games. Timeouts are milliseconds: a table deals this long after its first bet and a
+  // seat stands once its turn runs out; an idle game in the middle of a hand stands or forfeits,
+  // and a finished game leaves memory FINISHED_GAME_TTL after its payout settles. History is kept
+  // for HISTORY_RETENTION_DAYS, and EVENT_BUFFER_SIZE events per channel for clients that reconnect.
+  maxTables: { env: 'MAX_TABLES', type: 'integer', default: 20, min: 1 },
+  maxTableSeats: { env: 'MAX_TABLE_SEATS', type: 'integer', default: 5, min: 1 },
+  tableBetTimeout: { env: 'TABLE_BET_TIMEOUT', type: 'integer', default: 15000, min: 1 },
+  tableTurnTimeout: { env: 'TABLE_TURN_TIMEOUT', type: 'integer', default: 30000, min: 1 },
+  gameIdleTimeout: { env: 'GAME_IDLE_TIMEOUT', type: 'integer', default: 5 * 60 * 1000, min: 1 },
+  gameIdleAction: { env: 'GAME_IDLE_ACTION', type: 'enum', values: ['stand', 'forfeit'], default: 'stand' },
+  finishedGameTtl: { env: 'FINISHED_GAME_TTL', type: 'integer', default: 10 * 60 * 1000, min: 1 },
+  historyRetentionDays: { env: 'HISTORY_RETENTION_DAYS', type: 'integer', default: 90, min: 1 },
+  eventBufferSize: { env: 'EVENT_BUFFER_SIZE', type: 'integer', default: 200, min: 0 },
+
+  // Access: session lifetime (milliseconds), the admin key and wallets, and the bearer token
+  // Prometheus must send to read /metrics (open when unset)
+  sessionTtl: { env: 'SESSION_TTL', type: 'integer', default: 60 * 60 * 1000, min: 1 },
+  adminApiKey: { env: 'ADMIN_API_KEY', type: 'string', default: null, secret: true },
+  adminWallets: { env: 'ADMIN_WALLETS', type: 'addresses', default: [] },
+  metricsToken: { env: 'METRICS_TOKEN', type: 'string', default: null, secret: true },
+
+  // Rate limits per IP: requests allowed in each window (milliseconds)
+  apiRateLimitWindow: { env: 'API_RATE_LIMIT_WINDOW', type: 'integer', default: 15 * 60 * 1000, min: 1 },
+  apiRateLimitMax: { env: 'API_RATE_LIMIT_MAX', type: 'integer', default: 100, min: 1 },
+  gameActionRateLimitWindow: { env: 'GAME_ACTION_RATE_LIMIT_WINDOW', type: 'integer', default: 5 * 60 * 1000, min: 1 },
+  gameActionRateLimitMax: { env: 'GAME_ACTION_RATE_LIMIT_MAX', type: 'integer', default: 50, min: 1 },
+  createGameRateLimitWindow: { env: 'CREATE_GAME_RATE_LIMIT_WINDOW', type: 'integer', default: 10 * 60 * 1000, min: 1 },
+  createGameRateLimitMax: { env: 'CREATE_GAME_RATE_LIMIT_MAX', type: 'integer', default: 20, min: 1 }
+};
+
+function isAddress(value) {
+  try {
+    new PublicKey(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// One environment value to its setting's type; throws with the reason it doesn't fit
+function parseValue(spec, raw) {
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const value = Number(raw);
+      if (!Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        throw new Error(`must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}`);
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        throw new Error(`must be at least ${spec.min}`);
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        throw new Error(`must be at most ${spec.max}`);
+      }
+      return value;
+    }
+    case 'enum':
+      if (!spec.values.includes(raw)) {
+        throw new Error(`must be one of ${spec.values.join(', ')}`);
+      }
+      return raw;
+    case 'url': {
+      let url;
+      try {
+        url = new URL(raw);
+      } catch (error) {
+        throw new Error('must be a URL');
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error('must be an http or https URL');
+      }
+      return raw;
+    }
+    case 'address':
+      if (!isAddress(raw)) {
+        throw new Error('must be a Solana address');
+      }
+      return raw;
+    case 'addresses': {
+      const addresses = raw.split(',').map(address => address.trim()).filter(Boolean);
+      const invalid = addresses.filter(address => !isAddress(address));
+      if (invalid.length > 0) {
+        throw new Error(`has invalid Solana addresses: ${invalid.join(', ')}`);
+      }
+      return addresses;
+    }
+    default:
+      return raw;
+  }
+}
+
+// Checks that span settings. Outside production the devnet addresses and a throwaway treasury
+// keypair stand in for missing ones, with a warning; in production they are errors, as is a
+// treasury keypair that doesn't match TREASURY_WALLET.
+function checkConfig(config, errors, warnings) {
+  const production = config.nodeEnv === 'production';
+  const report = message => (production ? errors : warnings).push(message);
+
+  if (config.solanaNetwork === 'simulated') {
+    if (production) {
+      errors.push('SOLANA_NETWORK=simulated is not allowed in production');
+    }
+    if (config.solanaRpcUrl) {
+      warnings.push('SOLANA_RPC_URL is ignored with the simulated chain');
+    }
+  } else if (!config.treasurySeed) {
+    if (production) {
+      errors.push('TREASURY_SEED is required in production');
+    } else {
+      warnings.push('TREASURY_SEED is not set, so payouts are signed by a throwaway keypair that holds no funds');
+    }
+  }
+
+  if (production && config.randomSeed) {
+    errors.push('RANDOM_SEED makes every server seed predictable and is not allowed in production');
+  }
+
+  if (!config.treasuryWallet) {
+    if (production) {
+      errors.push('TREASURY_WALLET is required in production');
+    } else {
+      warnings.push(`TREASURY_WALLET is not set, using the devnet treasury ${DEVNET_TREASURY_WALLET}`);
+      config.treasuryWallet = DEVNET_TREASURY_WALLET;
+    }
+  }
+  if (!config.tokenMint) {
+    if (production) {
+      errors.push('TOKEN_MINT is required in production');
+    } else {
+      warnings.push(`TOKEN_MINT is not set, using the devnet CARDS mint ${DEVNET_TOKEN_MINT}`);
+      config.tokenMint = DEVNET_TOKEN_MINT;
+    }
+  }
+
+  // The treasury keypair pays out of the wallet players deposit to, so they have to match
+  if (config.treasurySeed && config.solanaNetwork !== 'simulated') {
+    let keypair = null;
+    try {
+      keypair = parseTreasurySeed(config.treasurySeed);
+    } catch (error) {
+      errors.push(`TREASURY_SEED is not a valid secret key (${error.message})`);
+    }
+    if (keypair && config.treasuryWallet && keypair.publicKey.toString() !== config.treasuryWallet) {
+      report(`TREASURY_SEED belongs to ${keypair.publicKey.toString()}, not TREASURY_WALLET ${config.treasuryWallet}`);
+    }
+  }
+
+  if (config.adminApiKey && config.adminApiKey.length < 16) {
+    report('ADMIN_API_KEY must be at least 16 characters');
+  }
+}
+
+// Read and check the configuration; throws listing every problem found. `warnings`
+// holds what would be an error in production.
+function loadConfig(env = process.env) {
+  const config = {};
+  const errors = [];
+  const warnings = [];
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const raw = env[spec.env];
+    if (raw === undefined || raw === '') {
+      config[key] = spec.default;
+      continue;
+    }
+    try {
+      config[key] = parseValue(spec, raw);
+    } catch (error) {
+      errors.push(`${spec.env} ${error.message}`);
+      config[key] = spec.default;
+    }
+  }
+
+  checkConfig(config, errors, warnings);
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration: ${errors.join('; ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  config.production = config.nodeEnv === 'production';
+  config.warnings = warnings;
+  return Object.freeze(config);
+}
+
+// A URL without its credentials, path and query
+function redactUrl(value) {
+  const url = new URL(value);
+  const hidden = url.username || url.password || url.pathname !== '/' || url.search || url.hash;
+  return `${url.protocol}//${url.host}${hidden ? '/[redacted]' : ''}`;
+}
+
+// Every setting by its variable name, for the startup log; secrets only show whether they are
+// set, and secret URLs only their host
+function describeConfig(config) {
+  const summary = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    if (spec.secret === 'path') {
+      summary[spec.env] = config[key] ? redactUrl(config[key]) : null;
+    } else if (spec.secret) {
+      summary[spec.env] = config[key] ? '[redacted]' : null;
+    } else {
+      summary[spec.env] = config[key];
+    }
+  }
+  return summary;
+}
+
+module.exports = { SCHEMA, loadConfig, describeConfig };
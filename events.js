@@ -0,0 +1,76 @@
+// In-memory publish/subscribe hub for game and table events.
+// Each channel keeps its most recent events, so a client that reconnects can
+// pick up from the last event id it saw. Event ids increase across channels and,
+// being seeded from the clock, across restarts too.
+
+const { logger } = require('./logger');
+
+class EventHub {
+  constructor({ bufferSize = 200 } = {}) {
+    this.bufferSize = bufferSize;
+    this.nextId = Date.now();
+    this.channels = new Map(); // channel -> { events, listeners, lastEventAt }
+  }
+
+  channel(name) {
+    let channel = this.channels.get(name);
+    if (!channel) {
+      channel = { events: [], listeners: new Set(), lastEventAt: Date.now() };
+      this.channels.set(name, channel);
+    }
+    return channel;
+  }
+
+  publish(name, type, data) {
+    const channel = this.channel(name);
+    const event = { id: this.nextId++, type, data, timestamp: Date.now() };
+
+    channel.events.push(event);
+    if (channel.events.length > this.bufferSize) {
+      channel.events.shift();
+    }
+    channel.lastEventAt = event.timestamp;
+
+    for (const listener of channel.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error('Event listener failed', { channel: name, error: error.message });
+      }
+    }
+    return event;
+  }
+
+  // Events published after lastEventId, or null once that event has left the buffer
+  since(name, lastEventId) {
+    const channel = this.channels.get(name);
+    if (!channel) {
+      return null;
+    }
+
+    const index = channel.events.findIndex(event => event.id === lastEventId);
+    if (index === -1) {
+      return null;
+    }
+    return channel.events.slice(index + 1);
+  }
+
+  // Call listener with every new event on the channel; returns the unsubscribe function
+  subscribe(name, listener) {
+    const channel = this.channel(name);
+    channel.listeners.add(listener);
+    return () => channel.listeners.delete(listener);
+  }
+
+  // Forget channels nobody listens to that have been quiet for maxAge (milliseconds)
+  prune(maxAge) {
+    const cutoff = Date.now() - maxAge;
+    for (const [name, channel] of this.channels) {
+      if (channel.listeners.size === 0 && channel.lastEventAt < cutoff) {
+        this.channels.delete(name);
+      }
+    }
+  }
+}
+
+module.exports = { EventHub };
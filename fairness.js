@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+// Provably fair helpers: the server commits to a seed by publishing its hash,
+// the player contributes a client seed, and every shuffle is derived from an
+// HMAC-SHA256 stream over both so anyone can rebuild it once the seed is revealed.
+
+// Generate a new random server seed; `random` is anything with crypto's randomBytes
+function generateServerSeed(random = crypto) {
+  return random.randomBytes(32).toString('hex');
+}
+
+// Hash published before the game starts
+function hashServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+// Generate a client seed for players that don't provide their own
+function generateClientSeed(random = crypto) {
+  return random.randomBytes(16).toString('hex');
+}
+
+// Create a deterministic random integer generator from the seeds.
+// Each HMAC block yields eight 32-bit values; blocks are numbered by a counter.
+function createSeededRandom(serverSeed, clientSeed, nonce) {
+  let counter = 0;
+  let block = null;
+  let offset = 0;
+
+  function nextUint32() {
+    if (!block || offset >= block.length) {
+      block = crypto
+        .createHmac('sha256', serverSeed)
+        .update(`${clientSeed}:${nonce}:${counter}`)
+        .digest();
+      counter += 1;
+      offset = 0;
+    }
+    const value = block.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  }
+
+  // Uniform integer in [0, max) using rejection sampling to avoid modulo bias
+  return function randomInt(max) {
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value = nextUint32();
+    while (value >= limit) {
+      value = nextUint32();
+    }
+    return value % max;
+  };
+}
+
+// Fisher-Yates shuffle driven by the seeded generator (shuffles in place)
+function shuffleWithSeeds(items, serverSeed, clientSeed, nonce) {
+  const randomInt = createSeededRandom(serverSeed, clientSeed, nonce);
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+module.exports = {
+  generateServerSeed,
+  hashServerSeed,
+  generateClientSeed,
+  createSeededRandom,
+  shuffleWithSeeds
+};
@@ -0,0 +1,187 @@
+// History of finished games and running statistics for every player.
+// Each game is kept in full (cards, actions, wagers and outcome) in one store
+// collection, and each player's totals in another, so all-time statistics
+// survive the history's retention period. Each player's games and each day's
+// totals are indexed in memory, so pages and leaderboards don't scan the history.
+
+const WINNING_RESULTS = ['win', 'blackjack'];
+
+function emptyStats(playerId) {
+  return {
+    playerId,
+    games: 0,
+    wins: 0, // Including blackjacks
+    blackjacks: 0,
+    pushes: 0,
+    losses: 0,
+    wagered: 0, // CARDS bet, including doubles, splits and insurance
+    returned: 0, // CARDS paid back
+    net: 0, // returned - wagered
+    currentStreak: 0, // Wins in a row; a push neither extends nor breaks it
+    longestStreak: 0,
+    firstPlayedAt: null,
+    lastPlayedAt: null
+  };
+}
+
+// Round a CARDS amount the way the ledger stores it
+function roundAmount(amount, decimals) {
+  return Math.round(amount * Math.pow(10, decimals)) / Math.pow(10, decimals);
+}
+
+// Start of the UTC day, or of the UTC week (Monday), containing the timestamp
+function periodStart(period, now = Date.now()) {
+  const day = new Date(now);
+  day.setUTCHours(0, 0, 0, 0);
+  if (period === 'weekly') {
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  }
+  return day.getTime();
+}
+
+class GameHistory {
+  constructor(entries, stats, { decimals }) {
+    this.entries = entries; // gameId -> finished game
+    this.stats = stats; // playerId -> running totals
+    this.decimals = decimals;
+    this.gamesByPlayer = new Map(); // playerId -> gameIds, oldest first
+    this.dailyTotals = new Map(); // start of a UTC day -> playerId -> { playerId, games, wins, net }
+  }
+
+  // Rebuild the indexes from the stored history, once the store is loaded
+  rebuild() {
+    this.gamesByPlayer.clear();
+    this.dailyTotals.clear();
+    const entries = Array.from(this.entries.values()).sort((a, b) => a.timestamp - b.timestamp);
+    for (const entry of entries) {
+      this.index(entry);
+    }
+  }
+
+  index(entry) {
+    let gameIds = this.gamesByPlayer.get(entry.playerId);
+    if (!gameIds) {
+      gameIds = [];
+      this.gamesByPlayer.set(entry.playerId, gameIds);
+    }
+    gameIds.push(entry.gameId);
+
+    const day = periodStart('daily', entry.timestamp);
+    let totals = this.dailyTotals.get(day);
+    if (!totals) {
+      totals = new Map();
+      this.dailyTotals.set(day, totals);
+    }
+    const row = totals.get(entry.playerId) || { playerId: entry.playerId, games: 0, wins: 0, net: 0 };
+    row.games += 1;
+    if (WINNING_RESULTS.includes(entry.result)) {
+      row.wins += 1;
+    }
+    row.net = roundAmount(row.net + entry.payoutAmount - entry.totalBet, this.decimals);
+    totals.set(entry.playerId, row);
+  }
+
+  // Add a finished game to the history and the player's totals; a game is only counted once
+  record(entry) {
+    if (this.entries.has(entry.gameId)) {
+      return false;
+    }
+    this.entries.set(entry.gameId, entry);
+    this.index(entry);
+
+    const stats = { ...(this.stats.get(entry.playerId) || emptyStats(entry.playerId)) };
+    stats.games += 1;
+    if (WINNING_RESULTS.includes(entry.result)) {
+      stats.wins += 1;
+      stats.currentStreak += 1;
+      stats.longestStreak = Math.max(stats.longestStreak, stats.currentStreak);
+    } else if (entry.result === 'push') {
+      stats.pushes += 1;
+    } else {
+      stats.losses += 1;
+      stats.currentStreak = 0;
+    }
+    if (entry.result === 'blackjack') {
+      stats.blackjacks += 1;
+    }
+    stats.wagered = roundAmount(stats.wagered + entry.totalBet, this.decimals);
+    stats.returned = roundAmount(stats.returned + entry.payoutAmount, this.decimals);
+    stats.net = roundAmount(stats.returned - stats.wagered, this.decimals);
+    stats.firstPlayedAt = stats.firstPlayedAt || entry.timestamp;
+    stats.lastPlayedAt = entry.timestamp;
+
+    this.stats.set(entry.playerId, stats);
+    return true;
+  }
+
+  // A player's finished games, newest first
+  page(playerId, { limit = 20, before = Infinity } = {}) {
+    const gameIds = this.gamesByPlayer.get(playerId) || [];
+    // Retention removes the oldest games from the history
+    while (gameIds.length > 0 && !this.entries.has(gameIds[0])) {
+      gameIds.shift();
+    }
+
+    // One game more than the page, to tell whether there is a next one
+    const games = [];
+    for (let i = gameIds.length - 1; i >= 0 && games.length <= limit; i--) {
+      const entry = this.entries.get(gameIds[i]);
+      if (entry && entry.timestamp < before) {
+        games.push(entry);
+      }
+    }
+
+    const page = games.slice(0, limit);
+    return {
+      games: page,
+      // Pass as `before` to get the next page
+      nextBefore: games.length > limit ? page[page.length - 1].timestamp : null
+    };
+  }
+
+  playerStats(playerId) {
+    return this.stats.get(playerId) || emptyStats(playerId);
+  }
+
+  // Players ranked by net CARDS won: over the current UTC day, week, or all time
+  leaderboard(period, { limit = 10, now = Date.now() } = {}) {
+    let rows;
+
+    if (period === 'all') {
+      rows = Array.from(this.stats.values()).map(stats => ({
+        playerId: stats.playerId,
+        games: stats.games,
+        wins: stats.wins,
+        net: stats.net
+      }));
+    } else {
+      const since = periodStart(period, now);
+      const weekStart = periodStart('weekly', now);
+      const totals = new Map();
+      for (const [day, dayTotals] of Array.from(this.dailyTotals.entries())) {
+        // Neither leaderboard looks back past the start of the week
+        if (day < weekStart) {
+          this.dailyTotals.delete(day);
+          continue;
+        }
+        if (day < since) continue;
+
+        for (const dayRow of dayTotals.values()) {
+          const row = totals.get(dayRow.playerId) || { playerId: dayRow.playerId, games: 0, wins: 0, net: 0 };
+          row.games += dayRow.games;
+          row.wins += dayRow.wins;
+          row.net = roundAmount(row.net + dayRow.net, this.decimals);
+          totals.set(dayRow.playerId, row);
+        }
+      }
+      rows = Array.from(totals.values());
+    }
+
+    return rows
+      .sort((a, b) => b.net - a.net || b.games - a.games)
+      .slice(0, limit)
+      .map((row, i) => ({ rank: i + 1, ...row }));
+  }
+}
+
+module.exports = { GameHistory, periodStart };
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+// Double-entry ledger of the CARDS the server holds for players.
+// Every transaction moves an amount from one account to another, so its entries
+// always sum to zero and the accounts together always balance. Transactions are
+// kept in a journal (a store collection) and balances are rebuilt from it on startup.
+// Amounts are kept in the token's base units to avoid float drift.
+
+const EXTERNAL_ACCOUNT = 'external'; // Outside the server: deposits come from here, withdrawals go here
+const HOUSE_ACCOUNT = 'house'; // Bankroll that takes wagers and pays out winnings
+const WITHDRAWALS_ACCOUNT = 'withdrawals'; // Withdrawals waiting for their on-chain transfer
+
+function playerAccount(playerId) {
+  return `player:${playerId}`;
+}
+
+// Accounts that must never go below zero
+function isFundedAccount(account) {
+  return account.startsWith('player:') || account === WITHDRAWALS_ACCOUNT;
+}
+
+class Ledger {
+  constructor(journal, { decimals }) {
+    this.journal = journal;
+    this.decimals = decimals;
+    this.balances = new Map(); // Balance of each account in base units
+    this.transactionsByAccount = new Map(); // account -> ids of the transactions touching it, oldest first
+  }
+
+  toUnits(amount) {
+    return Math.round(amount * Math.pow(10, this.decimals));
+  }
+
+  fromUnits(units) {
+    return units / Math.pow(10, this.decimals);
+  }
+
+  // Recompute every balance from the journal (after the store has been loaded)
+  rebuild() {
+    this.balances.clear();
+    this.transactionsByAccount.clear();
+    const transactions = Array.from(this.journal.values()).sort((a, b) => a.timestamp - b.timestamp);
+    for (const transaction of transactions) {
+      this.apply(transaction);
+    }
+  }
+
+  apply(transaction) {
+    for (const entry of transaction.entries) {
+      this.balances.set(entry.account, (this.balances.get(entry.account) || 0) + entry.units);
+
+      let ids = this.transactionsByAccount.get(entry.account);
+      if (!ids) {
+        ids = [];
+        this.transactionsByAccount.set(entry.account, ids);
+      }
+      if (ids[ids.length - 1] !== transaction.id) {
+        ids.push(transaction.id);
+      }
+    }
+  }
+
+  has(id) {
+    return this.journal.has(id);
+  }
+
+  // Balance of an account in CARDS
+  balance(account) {
+    return this.fromUnits(this.balances.get(account) || 0);
+  }
+
+  // Total balance in CARDS of every account whose name starts with prefix
+  totalBalance(prefix) {
+    let units = 0;
+    for (const [account, balance] of this.balances) {
+      if (account.startsWith(prefix)) {
+        units += balance;
+      }
+    }
+    return this.fromUnits(units);
+  }
+
+  // Move an amount of CARDS between two accounts. A transaction id can only be
+  // used once, which makes crediting deposits and payouts idempotent.
+  transfer({ id = crypto.randomUUID(), type, from, to, amount, reference = null }) {
+    if (this.journal.has(id)) {
+      throw new Error(`Ledger transaction ${id} already exists`);
+    }
+
+    const units = this.toUnits(amount);
+    if (!Number.isSafeInteger(units) || units <= 0) {
+      throw new Error('Ledger amount must be a positive number of CARDS');
+    }
+
+    if (isFundedAccount(from) && (this.balances.get(from) || 0) < units) {
+      throw new Error(`Insufficient balance: ${amount} CARDS needed, ${this.balance(from)} CARDS available`);
+    }
+
+    const transaction = {
+      id,
+      type,
+      entries: [
+        { account: from, units: -units },
+        { account: to, units }
+      ],
+      reference,
+      timestamp: Date.now()
+    };
+
+    this.journal.set(id, transaction);
+    this.apply(transaction);
+    return transaction;
+  }
+
+  // Transactions touching an account, newest first, with the amount signed for that account
+  history(account, { limit = 50, before = Infinity } = {}) {
+    const ids = this.transactionsByAccount.get(account) || [];
+    const items = [];
+
+    for (let i = ids.length - 1; i >= 0 && items.length < limit; i--) {
+      const transaction = this.journal.get(ids[i]);
+      if (!transaction || transaction.timestamp >= before) continue;
+
+      const units = transaction.entries
+        .filter(entry => entry.account === account)
+        .reduce((sum, entry) => sum + entry.units, 0);
+      if (units === 0) continue;
+
+      items.push({
+        id: transaction.id,
+        type: transaction.type,
+        amount: this.fromUnits(units),
+        reference: transaction.reference,
+        timestamp: transaction.timestamp
+      });
+    }
+
+    return items;
+  }
+}
+
+module.exports = {
+  Ledger,
+  playerAccount,
+  EXTERNAL_ACCOUNT,
+  HOUSE_ACCOUNT,
+  WITHDRAWALS_ACCOUNT
+};
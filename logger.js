@@ -0,0 +1,76 @@
+// Structured logger: one JSON object per line with a level, a message and fields.
+// Child loggers carry fields such as a request or game id into every line they
+// write, so all lines about one request or game can be found together.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors don't serialize to JSON on their own
+function serialize(value) {
+  if (value instanceof Error) {
+    return { message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+class Logger {
+  constructor({ level = 'info', bindings = {}, write = line => process.stdout.write(line) } = {}) {
+    this.settings = { level: 'info' };
+    this.setLevel(level);
+    this.bindings = bindings;
+    this.write = write;
+  }
+
+  get level() {
+    return this.settings.level;
+  }
+
+  // Change the least severe level written, for this logger and every child of it
+  setLevel(level) {
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level ${level}`);
+    }
+    this.settings.level = level;
+  }
+
+  // A logger that adds the given fields to every line; it shares this logger's level
+  child(bindings) {
+    const child = new Logger({ bindings: { ...this.bindings, ...bindings }, write: this.write });
+    child.settings = this.settings;
+    return child;
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= LEVELS[this.settings.level];
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.enabled(level)) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...this.bindings };
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = serialize(value);
+    }
+    this.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+// Shared by every module; createApp sets its level from LOG_LEVEL once the configuration is checked
+const logger = new Logger();
+
+module.exports = { Logger, logger, LEVELS };
@@ -0,0 +1,157 @@
+// Counters, gauges and histograms rendered in the Prometheus text exposition format.
+// Each metric keeps one value (or set of buckets) per combination of label values.
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = {}) {
+  const pairs = labelNames.map((name, i) => [name, values[i]]).concat(Object.entries(extra));
+  if (pairs.length === 0) {
+    return '';
+  }
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(String(value))}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // label key -> value
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  render() {
+    const lines = this.header();
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) {
+      throw new Error(`Counter ${this.name} cannot go down`);
+    }
+    const key = labelKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+}
+
+// A gauge is either set as things change, or read with `collect` when the metrics are rendered
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.values.set(labelKey(this.labelNames, labels), value);
+  }
+
+  render() {
+    if (this.collect) {
+      this.values.clear();
+      this.collect(this);
+    }
+    return super.render();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = labelKey(this.labelNames, labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const [key, series] of this.values) {
+      const values = JSON.parse(key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, { le: formatValue(bound) })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, { le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// Content type of the text exposition format
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { MetricsRegistry, METRICS_CONTENT_TYPE };
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// Sources of randomness for server seeds, client seeds and ids. The default is
+// node's CSPRNG; a seeded source replays the same values for the same seed, so
+// tests and simulations deal the same cards every run. Both offer the two crypto
+// functions the server uses: randomBytes(size) and randomInt(max). A seeded
+// source is marked `seeded`, and the server then leaves the clock out of the
+// ids it generates, so a seeded run produces the same ids as well.
+
+const secureRandom = {
+  randomBytes: size => crypto.randomBytes(size),
+  randomInt: max => crypto.randomInt(max)
+};
+
+// Deterministic bytes from HMAC-SHA256(seed, counter) blocks
+function seededRandom(seed) {
+  let counter = 0;
+  let buffer = Buffer.alloc(0);
+
+  function randomBytes(size) {
+    while (buffer.length < size) {
+      const block = crypto.createHmac('sha256', String(seed)).update(String(counter)).digest();
+      counter += 1;
+      buffer = Buffer.concat([buffer, block]);
+    }
+    const bytes = buffer.subarray(0, size);
+    buffer = buffer.subarray(size);
+    return Buffer.from(bytes);
+  }
+
+  // Uniform integer in [0, max), rejecting values that would bias the result
+  function randomInt(max) {
+    if (!Number.isInteger(max) || max <= 0 || max > 0x100000000) {
+      throw new Error('randomInt needs a whole number between 1 and 2^32');
+    }
+    const limit = Math.floor(0x100000000 / max) * max;
+    for (;;) {
+      const value = randomBytes(4).readUInt32BE(0);
+      if (value < limit) {
+        return value % max;
+      }
+    }
+  }
+
+  return { randomBytes, randomInt, seeded: true };
+}
+
+module.exports = { secureRandom, seededRandom };
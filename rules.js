@@ -0,0 +1,113 @@
+const fs = require('fs');
+
+// Table rules profile. Defaults can be overridden by a JSON file (RULES_FILE)
+// and then by individual environment variables.
+const DEFAULT_RULES = {
+  name: 'standard',
+  deckCount: 6,
+  penetration: 0.75, // Share of the shoe dealt before the cut card comes out
+  dealerHitsSoft17: false,
+  blackjackPayout: 1.5, // Profit on a natural as a multiple of the bet (1.5 = 3:2)
+  winPayout: 1, // Profit on any other winning hand as a multiple of the bet (1 = even money)
+  minBet: 1, // Table limits in CARDS
+  maxBet: 100,
+  doubleAllowed: true,
+  splitAllowed: true,
+  maxSplitHands: 4,
+  surrenderAllowed: true,
+  insuranceAllowed: true
+};
+
+// Environment variable overriding each rule
+const RULE_ENV_VARS = {
+  name: 'RULES_NAME',
+  deckCount: 'DECK_COUNT',
+  penetration: 'PENETRATION',
+  dealerHitsSoft17: 'DEALER_HITS_SOFT_17',
+  blackjackPayout: 'BLACKJACK_PAYOUT',
+  winPayout: 'WIN_PAYOUT',
+  minBet: 'MIN_BET',
+  maxBet: 'MAX_BET',
+  doubleAllowed: 'DOUBLE_ALLOWED',
+  splitAllowed: 'SPLIT_ALLOWED',
+  maxSplitHands: 'MAX_SPLIT_HANDS',
+  surrenderAllowed: 'SURRENDER_ALLOWED',
+  insuranceAllowed: 'INSURANCE_ALLOWED'
+};
+
+function parseEnvValue(key, raw) {
+  const type = typeof DEFAULT_RULES[key];
+  if (type === 'boolean') {
+    if (raw === 'true' || raw === '1') return true;
+    if (raw === 'false' || raw === '0') return false;
+    throw new Error(`${RULE_ENV_VARS[key]} must be true or false`);
+  }
+  if (type === 'number') {
+    const value = Number(raw);
+    if (Number.isNaN(value)) {
+      throw new Error(`${RULE_ENV_VARS[key]} must be a number`);
+    }
+    return value;
+  }
+  return raw;
+}
+
+function validateRules(rules) {
+  for (const key of Object.keys(rules)) {
+    if (!(key in DEFAULT_RULES)) {
+      throw new Error(`Unknown rule: ${key}`);
+    }
+    if (typeof rules[key] !== typeof DEFAULT_RULES[key]) {
+      throw new Error(`Rule ${key} must be a ${typeof DEFAULT_RULES[key]}`);
+    }
+  }
+
+  if (!Number.isInteger(rules.deckCount) || rules.deckCount < 1 || rules.deckCount > 8) {
+    throw new Error('deckCount must be an integer between 1 and 8');
+  }
+  if (!(rules.penetration >= 0.5 && rules.penetration <= 0.9)) {
+    throw new Error('penetration must be between 0.5 and 0.9');
+  }
+  if (!(rules.minBet > 0)) {
+    throw new Error('minBet must be greater than 0');
+  }
+  if (!(rules.maxBet >= rules.minBet)) {
+    throw new Error('maxBet must be at least minBet');
+  }
+  if (!(rules.winPayout > 0)) {
+    throw new Error('winPayout must be greater than 0');
+  }
+  if (!(rules.blackjackPayout > 0)) {
+    throw new Error('blackjackPayout must be greater than 0');
+  }
+  if (!Number.isInteger(rules.maxSplitHands) || rules.maxSplitHands < 2) {
+    throw new Error('maxSplitHands must be an integer of at least 2');
+  }
+
+  return rules;
+}
+
+// Load the active rules profile from RULES_FILE and the environment
+function loadRules(env = process.env) {
+  let rules = { ...DEFAULT_RULES };
+
+  if (env.RULES_FILE) {
+    let fileRules;
+    try {
+      fileRules = JSON.parse(fs.readFileSync(env.RULES_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read rules file ${env.RULES_FILE}: ${error.message}`);
+    }
+    rules = { ...rules, ...fileRules };
+  }
+
+  for (const [key, envVar] of Object.entries(RULE_ENV_VARS)) {
+    if (env[envVar] !== undefined && env[envVar] !== '') {
+      rules[key] = parseEnvValue(key, env[envVar]);
+    }
+  }
+
+  return Object.freeze(validateRules(rules));
+}
+
+module.exports = { DEFAULT_RULES, loadRules, validateRules };
@@ -0,0 +1,106 @@
+// One timer for every deadline the server keeps: idle games, finished games to
+// evict, table bet and turn timers, and the periodic jobs. Tasks are keyed, so
+// scheduling a key again moves its deadline, and the timer is always armed for
+// the earliest deadline. Tasks can be scheduled before start(); nothing runs until then.
+
+const { logger } = require('./logger');
+
+// Longest delay setTimeout accepts
+const MAX_DELAY = 2 ** 31 - 1;
+
+class Scheduler {
+  constructor() {
+    this.tasks = new Map(); // key -> { at, run, interval }
+    this.timer = null;
+    this.armedAt = null;
+    this.running = false;
+  }
+
+  start() {
+    this.running = true;
+    this.armNext();
+  }
+
+  // Stop the timer; the tasks are kept and run again after start()
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.armedAt = null;
+  }
+
+  // Run a task once at the timestamp `at`, replacing whatever was scheduled under the key
+  schedule(key, at, run) {
+    this.tasks.set(key, { at, run, interval: null });
+    this.arm(at);
+  }
+
+  // Run a task every `interval` milliseconds, the first time one interval from now
+  every(key, interval, run) {
+    const at = Date.now() + interval;
+    this.tasks.set(key, { at, run, interval });
+    this.arm(at);
+  }
+
+  cancel(key) {
+    this.tasks.delete(key);
+  }
+
+  has(key) {
+    return this.tasks.has(key);
+  }
+
+  // Make sure the timer fires no later than `at`
+  arm(at) {
+    if (!this.running || (this.timer && this.armedAt <= at)) return;
+
+    clearTimeout(this.timer);
+    const delay = Math.min(Math.max(0, at - Date.now()), MAX_DELAY);
+    this.armedAt = Date.now() + delay;
+    this.timer = setTimeout(() => this.fire(), delay);
+  }
+
+  // Run every task that is due, then arm the timer for the next one
+  fire() {
+    this.timer = null;
+    this.armedAt = null;
+
+    const now = Date.now();
+    for (const [key, task] of Array.from(this.tasks)) {
+      // A task run earlier in this pass may have moved or cancelled this one
+      if (this.tasks.get(key) !== task || task.at > now) continue;
+
+      if (task.interval) {
+        task.at = now + task.interval;
+      } else {
+        this.tasks.delete(key);
+      }
+      this.run(key, task);
+    }
+
+    this.armNext();
+  }
+
+  armNext() {
+    let next = Infinity;
+    for (const task of this.tasks.values()) {
+      next = Math.min(next, task.at);
+    }
+    if (next !== Infinity) {
+      this.arm(next);
+    }
+  }
+
+  run(key, task) {
+    try {
+      const result = task.run();
+      if (result && typeof result.catch === 'function') {
+        result.catch(error => logger.error('Scheduled task failed', { task: key, error }));
+      }
+    } catch (error) {
+      logger.error('Scheduled task failed', { task: key, error });
+    }
+  }
+}
+
+module.exports = { Scheduler };
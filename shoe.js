@@ -0,0 +1,98 @@
+const { shuffleWithSeeds } = require('./fairness');
+
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+
+// Build the shoe in the order determined by the fairness seeds.
+// Cards are dealt from the start of the returned array.
+function buildDeck(serverSeed, clientSeed, nonce, deckCount = 6) {
+  const deck = [];
+
+  // Tworzymy talie
+  for (let i = 0; i < deckCount; i++) {
+    for (const suit of SUITS) {
+      for (const rank of RANKS) {
+        deck.push({ suit, rank });
+      }
+    }
+  }
+
+  // Fisher-Yates shuffle over the HMAC stream of both seeds
+  return shuffleWithSeeds(deck, serverSeed, clientSeed, nonce);
+}
+
+// Multi-deck shoe that lasts across consecutive rounds. A cut card is placed at
+// the configured penetration; once it comes out, the shoe is reshuffled before
+// the next round.
+class Shoe {
+  constructor({ id, deckCount, penetration }) {
+    this.id = id;
+    this.deckCount = deckCount;
+    this.penetration = penetration;
+    this.shuffleId = null; // Identifies the current shuffle
+    this.shuffleCount = 0; // Shuffles so far; the next one's nonce is this plus one
+    this.cards = [];
+    this.position = 0; // Index of the next card to deal
+    this.cutCardPosition = 0;
+    this.discards = 0; // Cards from finished rounds
+    this.nextClientSeed = null; // Client seed the player chose for the next shuffle
+    this.lastUsedAt = Date.now();
+  }
+
+  static restore(snapshot) {
+    return Object.assign(Object.create(Shoe.prototype), snapshot);
+  }
+
+  // The nonce is the shuffle's number in this shoe, counted from 1
+  shuffle(shuffleId, serverSeed, clientSeed, nonce) {
+    this.shuffleId = shuffleId;
+    this.shuffleCount += 1;
+    this.cards = buildDeck(serverSeed, clientSeed, nonce, this.deckCount);
+    this.position = 0;
+    this.discards = 0;
+    this.cutCardPosition = Math.floor(this.cards.length * this.penetration);
+    this.nextClientSeed = null;
+  }
+
+  get cardsRemaining() {
+    return this.cards.length - this.position;
+  }
+
+  // Reshuffle before the next round once the cut card is out (or before the first round)
+  needsShuffle() {
+    return this.shuffleId === null || this.position >= this.cutCardPosition;
+  }
+
+  isEmpty() {
+    return this.position >= this.cards.length;
+  }
+
+  // Deal the next card along with where it came from
+  draw() {
+    if (this.isEmpty()) {
+      throw new Error('Shoe is empty');
+    }
+    const position = this.position;
+    this.position += 1;
+    this.lastUsedAt = Date.now();
+    return { card: { ...this.cards[position], hidden: false }, shuffleId: this.shuffleId, position };
+  }
+
+  // Cards of a finished round go to the discard tray
+  discard(count) {
+    this.discards += count;
+  }
+
+  getState() {
+    return {
+      shuffleId: this.shuffleId,
+      deckCount: this.deckCount,
+      penetration: this.penetration,
+      cardsRemaining: this.cardsRemaining,
+      discards: this.discards,
+      cutCardReached: this.position >= this.cutCardPosition
+    };
+  }
+}
+
+module.exports = { Shoe, buildDeck };
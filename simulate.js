@@ -0,0 +1,333 @@
+// Monte Carlo simulator for the table economics. Plays hands of BlackjackGame
+// headlessly (in-memory store, simulated chain, no timers) under a player
+// strategy, and reports the return to player, the house edge with a 95%
+// confidence interval, how games and hands ended, and what the treasury can
+// expect to pay out per 1,000 games. Uses the same rules profile as the server
+// (RULES_FILE and the rule variables), or the file given with --rules.
+
+const USAGE = `Usage: node simulate.js [options]
+
+  --hands <n>        Hands to play (default 100000)
+  --strategy <name>  basic, never-bust or mimic-dealer (default basic)
+  --bet <cards>      Bet per hand (default the table minimum)
+  --rules <file>     Rules profile to play, instead of RULES_FILE
+  --seed <seed>      Deal the same cards on every run with the same seed
+  --json             Print the report as JSON`;
+
+const OPTIONS = {
+  hands: { type: 'integer', default: 100000 },
+  strategy: { type: 'string', default: 'basic' },
+  bet: { type: 'number', default: null },
+  rules: { type: 'string', default: null },
+  seed: { type: 'string', default: null },
+  json: { type: 'flag', default: false }
+};
+
+// z for a two-sided 95% confidence interval
+const Z_95 = 1.96;
+// Finished games' records are dropped this often, so memory stays flat however many hands are played
+const PURGE_INTERVAL = 1000;
+const FINISHED_GAME_COLLECTIONS = ['completedGames', 'gameLogs', 'gameHistory', 'shuffles', 'ledger'];
+
+function fail(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (const [name, spec] of Object.entries(OPTIONS)) {
+    options[name] = spec.default;
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      console.log(USAGE);
+      process.exit(0);
+    }
+    const name = arg.startsWith('--') ? arg.slice(2) : null;
+    const spec = name && OPTIONS[name];
+    if (!spec) {
+      fail(`Unknown option ${arg}`);
+    }
+    if (spec.type === 'flag') {
+      options[name] = true;
+      continue;
+    }
+
+    const raw = argv[++i];
+    if (raw === undefined) {
+      fail(`--${name} needs a value`);
+    }
+    if (spec.type === 'string') {
+      options[name] = raw;
+      continue;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value <= 0 || (spec.type === 'integer' && !Number.isInteger(value))) {
+      fail(`--${name} must be a positive ${spec.type === 'integer' ? 'whole number' : 'number'}`);
+    }
+    options[name] = value;
+  }
+
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+// The simulator only wants errors logged
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { Keypair } = require('@solana/web3.js');
+const { createApp, BlackjackGame } = require('./blackjack_server');
+const { SimulatedChain } = require('./simulated_chain');
+const { secureRandom, seededRandom } = require('./random');
+const { loadConfig } = require('./config');
+const { loadRules } = require('./rules');
+const { rankValue, handTotal, evaluateHand, bestAction, insuranceValue } = require('./strategy');
+
+function handRanks(hand) {
+  return hand.cards.map(card => card.rank);
+}
+
+// Basic strategy never takes insurance without counting cards, but the value is checked all the same
+function insuranceDecision(game) {
+  return insuranceValue({ cards: game.hands[0].cards, rules: game.rules }) > 0 ? 'insurance' : 'decline-insurance';
+}
+
+// Decisions depend only on the card values, the upcard and the actions offered, so they are reused
+const basicDecisions = new Map();
+
+const STRATEGIES = {
+  // The action with the highest expected value (strategy.js)
+  basic(game, actions) {
+    if (actions.includes('insurance')) {
+      return insuranceDecision(game);
+    }
+    const hand = game.activeHand();
+    const upcard = game.dealerHand[0];
+    const values = handRanks(hand).map(rankValue).sort((a, b) => a - b);
+    const key = `${rankValue(upcard.rank)}|${values.join(',')}|${actions.join(',')}`;
+    if (!basicDecisions.has(key)) {
+      basicDecisions.set(key, bestAction(evaluateHand({ cards: hand.cards, upcard, rules: game.rules, actions })));
+    }
+    return basicDecisions.get(key);
+  },
+
+  // Hit only while no card can bust the hand (hard 11 or less, soft 17 or less)
+  'never-bust'(game, actions) {
+    if (actions.includes('insurance')) {
+      return 'decline-insurance';
+    }
+    const { total, soft } = handTotal(handRanks(game.activeHand()));
+    return total <= (soft ? 17 : 11) ? 'hit' : 'stand';
+  },
+
+  // Play like the dealer: hit below 17, and on soft 17 when the dealer does
+  'mimic-dealer'(game, actions) {
+    if (actions.includes('insurance')) {
+      return 'decline-insurance';
+    }
+    const { total, soft } = handTotal(handRanks(game.activeHand()));
+    return total < 17 || (total === 17 && soft && game.rules.dealerHitsSoft17) ? 'hit' : 'stand';
+  }
+};
+
+// Additional wagers are not taken from a balance here: the game's own totals are what is measured
+const PERFORM = {
+  hit: game => game.hit(),
+  stand: game => game.stand(),
+  double: game => game.doubleDown(null),
+  split: game => game.split(null),
+  surrender: game => game.surrender(),
+  insurance: game => game.takeInsurance(null),
+  'decline-insurance': game => game.declineInsurance()
+};
+
+// Running sums for the per-game statistics
+function emptyTally() {
+  return {
+    games: 0,
+    wagered: 0,
+    returned: 0,
+    sumNet: 0,
+    sumNetSquared: 0,
+    sumWageredSquared: 0,
+    sumReturnedSquared: 0,
+    sumProduct: 0, // wagered * returned
+    results: {}, // Game results: blackjack, win, push, loss
+    handResults: {}, // Every hand, split hands included
+    decisions: {} // Player decisions, by action
+  };
+}
+
+function count(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+function recordGame(tally, game) {
+  const wagered = game.currentBet;
+  const returned = game.payoutAmount;
+  const net = returned - wagered;
+
+  tally.games += 1;
+  tally.wagered += wagered;
+  tally.returned += returned;
+  tally.sumNet += net;
+  tally.sumNetSquared += net * net;
+  tally.sumWageredSquared += wagered * wagered;
+  tally.sumReturnedSquared += returned * returned;
+  tally.sumProduct += wagered * returned;
+
+  count(tally.results, game.result);
+  for (const hand of game.hands) {
+    count(tally.handResults, hand.result);
+  }
+  for (const { action } of game.actions) {
+    if (action !== 'bet') {
+      count(tally.decisions, action);
+    }
+  }
+}
+
+// Return to player is a ratio of two sums, so its interval comes from the delta method
+function summarize(tally, bet) {
+  const n = tally.games;
+  const rtp = tally.returned / tally.wagered;
+  const meanWagered = tally.wagered / n;
+  const varianceOf = (sumSquares, sum) => (sumSquares - (sum * sum) / n) / (n - 1);
+  const varianceWagered = varianceOf(tally.sumWageredSquared, tally.wagered);
+  const varianceReturned = varianceOf(tally.sumReturnedSquared, tally.returned);
+  const covariance = (tally.sumProduct - (tally.wagered * tally.returned) / n) / (n - 1);
+  const rtpError = Z_95 * Math.sqrt(
+    Math.max(0, varianceReturned - 2 * rtp * covariance + rtp * rtp * varianceWagered) / n
+  ) / meanWagered;
+
+  const meanNet = tally.sumNet / n;
+  const netError = Z_95 * Math.sqrt(varianceOf(tally.sumNetSquared, tally.sumNet) / n);
+  const share = counts => Object.fromEntries(
+    Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)).map(([key, value]) => [key, value / n])
+  );
+
+  return {
+    games: n,
+    bet,
+    wagered: tally.wagered,
+    returned: tally.returned,
+    averageWager: meanWagered,
+    returnToPlayer: { value: rtp, low: rtp - rtpError, high: rtp + rtpError },
+    // Per CARDS of the initial bet, the usual way an edge is quoted
+    houseEdge: { value: -meanNet / bet, low: (-meanNet - netError) / bet, high: (-meanNet + netError) / bet },
+    // Player winnings the treasury pays out per 1,000 games; negative when the house comes out ahead
+    treasuryDrainPer1000: { value: 1000 * meanNet, low: 1000 * (meanNet - netError), high: 1000 * (meanNet + netError) },
+    results: share(tally.results),
+    handResults: share(tally.handResults),
+    decisionsPerGame: share(tally.decisions)
+  };
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(3)}%`;
+}
+
+function describeRules(rules) {
+  return [
+    `${rules.deckCount} decks`,
+    `dealer ${rules.dealerHitsSoft17 ? 'hits' : 'stands on'} soft 17`,
+    `blackjack pays ${rules.blackjackPayout}`,
+    `wins pay ${rules.winPayout}`,
+    `double ${rules.doubleAllowed ? 'on' : 'off'}`,
+    `split ${rules.splitAllowed ? `to ${rules.maxSplitHands} hands` : 'off'}`,
+    `surrender ${rules.surrenderAllowed ? 'on' : 'off'}`,
+    `insurance ${rules.insuranceAllowed ? 'on' : 'off'}`
+  ].join(', ');
+}
+
+function printReport(report) {
+  const { summary, rules } = report;
+  const interval = ({ low, high }, format) => `${format(low)} to ${format(high)}`;
+  const cards = value => `${value.toFixed(2)} CARDS`;
+  const shares = counts => Object.entries(counts).map(([key, value]) => `${key} ${percent(value)}`).join(', ');
+
+  console.log(`Rules:            ${rules.name} (${describeRules(rules)})`);
+  console.log(`Strategy:         ${report.strategy}`);
+  console.log(`Games:            ${summary.games} at ${summary.bet} CARDS, ${summary.averageWager.toFixed(4)} CARDS wagered on average`);
+  console.log(`Return to player: ${percent(summary.returnToPlayer.value)} (95% CI ${interval(summary.returnToPlayer, percent)})`);
+  console.log(`House edge:       ${percent(summary.houseEdge.value)} of the initial bet (95% CI ${interval(summary.houseEdge, percent)})`);
+  console.log(`Treasury drain:   ${cards(summary.treasuryDrainPer1000.value)} per 1,000 games (95% CI ${interval(summary.treasuryDrainPer1000, cards)}; negative is a gain for the treasury)`);
+  console.log(`Game results:     ${shares(summary.results)}`);
+  console.log(`Hand results:     ${shares(summary.handResults)}`);
+  console.log(`Decisions/game:   ${shares(summary.decisionsPerGame)}`);
+}
+
+async function simulate() {
+  const strategy = STRATEGIES[options.strategy];
+  if (!strategy) {
+    fail(`Unknown strategy ${options.strategy}; use one of ${Object.keys(STRATEGIES).join(', ')}`);
+  }
+  if (options.hands < 2) {
+    fail('--hands must be at least 2 for a confidence interval');
+  }
+
+  const random = options.seed ? seededRandom(options.seed) : secureRandom;
+  let store;
+  try {
+    ({ store } = createApp({
+      config: loadConfig(),
+      rules: loadRules(options.rules ? { ...process.env, RULES_FILE: options.rules } : process.env),
+      persist: false,
+      random,
+      chain: new SimulatedChain({ treasuryWallet: Keypair.generate().publicKey.toString(), random })
+    }));
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const playerId = Keypair.generate().publicKey.toString();
+  const game = new BlackjackGame(playerId);
+  const bet = options.bet === null ? game.rules.minBet : options.bet;
+  const tally = emptyTally();
+
+  for (let i = 0; i < options.hands; i++) {
+    if (i > 0) {
+      game.reset();
+    }
+    try {
+      await game.placeBet(bet);
+    } catch (error) {
+      fail(error.message);
+    }
+
+    while (!game.completed) {
+      const actions = game.getAvailableActions();
+      await PERFORM[strategy(game, actions)](game);
+    }
+    recordGame(tally, game);
+
+    if ((i + 1) % PURGE_INTERVAL === 0) {
+      for (const name of FINISHED_GAME_COLLECTIONS) {
+        store.collections.get(name).clear();
+      }
+      if (process.stderr.isTTY && (i + 1) % (PURGE_INTERVAL * 100) === 0) {
+        process.stderr.write(`${i + 1} hands played\n`);
+      }
+    }
+  }
+
+  return { strategy: options.strategy, rules: game.rules, summary: summarize(tally, bet) };
+}
+
+simulate()
+  .then(report => {
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,215 @@
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const BN = require('bn.js');
+const { toBaseUnits, fromBaseUnits } = require('./token');
+const { secureRandom } = require('./random');
+
+// Chain adapter backed by an in-memory token ledger, for running the server offline
+// (SOLANA_NETWORK=simulated) and for exercising deposits and payouts deterministically.
+// It has the interface of SolanaChain (chain.js). Transactions land as soon as they are
+// sent and every send moves the block height on by one; nothing survives a restart.
+
+const SIGNATURE_FEE = 5000; // lamports per transaction
+const ACCOUNT_RENT = 2039280; // lamports to create a token account
+const BLOCKHASH_LIFETIME = 150; // blocks a built transaction stays valid
+
+class SimulatedChain {
+  constructor({
+    treasuryWallet,
+    decimals = 9,
+    treasuryCards = 1000000,
+    treasurySol = 10,
+    random = secureRandom
+  }) {
+    this.treasuryWallet = treasuryWallet;
+    this.decimals = decimals;
+    this.random = random;
+    this.tokenAccounts = new Map(); // wallet -> CARDS in base units (BN)
+    this.lamports = new Map(); // wallet -> lamports
+    this.transactions = new Map(); // signature -> { err, blockTime, slot, transfers }
+    this.depositSignatures = []; // Transactions touching the treasury token account, oldest first
+    this.blockHeight = 1;
+    this.nextError = null;
+
+    this.tokenAccounts.set(treasuryWallet, toBaseUnits(treasuryCards, decimals));
+    this.lamports.set(treasuryWallet, Math.round(treasurySol * LAMPORTS_PER_SOL));
+  }
+
+  async load() {
+    return { address: 'simulated', programName: 'Simulated', decimals: this.decimals, transferFeeBps: null };
+  }
+
+  newSignature() {
+    return bs58.encode(this.random.randomBytes(64));
+  }
+
+  balanceOf(wallet) {
+    return this.tokenAccounts.get(wallet) || new BN(0);
+  }
+
+  // Record a landed transaction moving CARDS between wallets
+  record(transfers, err = null) {
+    const signature = this.newSignature();
+    this.blockHeight += 1;
+    this.transactions.set(signature, {
+      err,
+      blockTime: Math.floor(Date.now() / 1000),
+      slot: this.blockHeight,
+      transfers
+    });
+    if (transfers.some(transfer => transfer.to === this.treasuryWallet || transfer.from === this.treasuryWallet)) {
+      this.depositSignatures.push(signature);
+    }
+    return signature;
+  }
+
+  // Create CARDS on a wallet, like a devnet faucet
+  airdrop(wallet, amount) {
+    new PublicKey(wallet);
+    const units = toBaseUnits(amount, this.decimals);
+    this.tokenAccounts.set(wallet, this.balanceOf(wallet).add(units));
+    return this.record([{ from: null, to: wallet, units }]);
+  }
+
+  // A wallet sends CARDS to another, as a player's deposit to the treasury would; returns the signature
+  transfer(from, to, amount) {
+    const units = toBaseUnits(amount, this.decimals);
+    if (this.balanceOf(from).lt(units)) {
+      throw new Error(`Insufficient CARDS: ${amount} needed, ${fromBaseUnits(this.balanceOf(from), this.decimals)} available`);
+    }
+    this.tokenAccounts.set(from, this.balanceOf(from).sub(units));
+    this.tokenAccounts.set(to, this.balanceOf(to).add(units));
+    return this.record([{ from, to, units }]);
+  }
+
+  // The next payout transaction sent fails on-chain with this error
+  failNextTransaction(err) {
+    this.nextError = err;
+  }
+
+  async getDeposits(signature) {
+    const transaction = this.transactions.get(signature);
+    if (!transaction) {
+      return null;
+    }
+
+    const deposits = new Map();
+    if (!transaction.err) {
+      for (const { from, to, units } of transaction.transfers) {
+        if (to === this.treasuryWallet && from && from !== this.treasuryWallet) {
+          deposits.set(from, (deposits.get(from) || new BN(0)).add(units));
+        }
+      }
+    }
+    return { err: transaction.err, blockTime: transaction.blockTime, deposits };
+  }
+
+  async listDepositSignatures(until, { since = null } = {}) {
+    const index = until ? this.depositSignatures.indexOf(until) : -1;
+    return this.depositSignatures.slice(index + 1).reverse()
+      .map(signature => {
+        const { err, blockTime } = this.transactions.get(signature);
+        return { signature, err, blockTime };
+      })
+      .filter(info => since === null || info.blockTime >= since);
+  }
+
+  async buildPayout(transfers, { accountCreationsAllowed }) {
+    const accountCreations = [];
+    const rejected = [];
+    let creationsAllowed = accountCreationsAllowed;
+
+    const payable = [];
+    for (const transfer of transfers) {
+      try {
+        new PublicKey(transfer.playerId);
+      } catch (error) {
+        throw new Error(`Invalid Solana address format: ${transfer.playerId}`);
+      }
+
+      if (!this.tokenAccounts.has(transfer.playerId)) {
+        if (creationsAllowed <= 0) {
+          rejected.push({ transfer, reason: 'Receiver needs to create a CARDS token account first' });
+          continue;
+        }
+        creationsAllowed -= 1;
+        accountCreations.push({ playerId: transfer.playerId, tokenAccount: transfer.playerId, lamports: ACCOUNT_RENT });
+      }
+      payable.push({ to: transfer.playerId, units: toBaseUnits(transfer.amount, this.decimals).toString() });
+    }
+
+    if (payable.length === 0) {
+      return { transaction: null, rejected, accountCreations };
+    }
+
+    const signature = this.newSignature();
+    const blockhash = bs58.encode(this.random.randomBytes(32));
+    const lastValidBlockHeight = this.blockHeight + BLOCKHASH_LIFETIME;
+    const body = { signature, blockhash, lastValidBlockHeight, transfers: payable, accountCreations };
+
+    return {
+      transaction: Buffer.from(JSON.stringify(body)).toString('base64'),
+      signature,
+      blockhash,
+      lastValidBlockHeight,
+      rejected,
+      accountCreations
+    };
+  }
+
+  // Applies the transaction at once; sending it again changes nothing
+  async sendTransaction(serialized) {
+    const body = JSON.parse(Buffer.from(serialized, 'base64').toString());
+    if (this.transactions.has(body.signature)) return;
+    if (this.blockHeight > body.lastValidBlockHeight) {
+      throw new Error('Blockhash not found');
+    }
+
+    const total = body.transfers.reduce((sum, transfer) => sum.add(new BN(transfer.units)), new BN(0));
+    const lamports = SIGNATURE_FEE + body.accountCreations.length * ACCOUNT_RENT;
+    let err = this.nextError;
+    this.nextError = null;
+    if (!err && this.balanceOf(this.treasuryWallet).lt(total)) {
+      err = { InstructionError: [0, { Custom: 1 }] }; // The token program's insufficient funds error
+    }
+    if (!err && (this.lamports.get(this.treasuryWallet) || 0) < lamports) {
+      err = 'InsufficientFundsForFee';
+    }
+
+    const transfers = body.transfers.map(({ to, units }) => ({ from: this.treasuryWallet, to, units: new BN(units) }));
+    if (!err) {
+      for (const { to, units } of transfers) {
+        this.tokenAccounts.set(this.treasuryWallet, this.balanceOf(this.treasuryWallet).sub(units));
+        this.tokenAccounts.set(to, this.balanceOf(to).add(units));
+      }
+      this.lamports.set(this.treasuryWallet, this.lamports.get(this.treasuryWallet) - lamports);
+    }
+
+    this.blockHeight += 1;
+    this.transactions.set(body.signature, {
+      err,
+      blockTime: Math.floor(Date.now() / 1000),
+      slot: this.blockHeight,
+      transfers
+    });
+    this.depositSignatures.push(body.signature);
+  }
+
+  async getSignatureStatus(signature) {
+    const transaction = this.transactions.get(signature);
+    return transaction ? { err: transaction.err, confirmed: true } : null;
+  }
+
+  async getBlockHeight() {
+    return this.blockHeight;
+  }
+
+  async getTreasuryBalances() {
+    return {
+      sol: (this.lamports.get(this.treasuryWallet) || 0) / LAMPORTS_PER_SOL,
+      cards: fromBaseUnits(this.balanceOf(this.treasuryWallet), this.decimals)
+    };
+  }
+}
+
+module.exports = { SimulatedChain };
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// File-backed storage for server state.
+// Every change is appended as one JSON line to the log; on startup the log is
+// replayed to rebuild the collections, and compaction rewrites it with only the
+// entries that are still alive. A store loaded with persist: false starts empty
+// and keeps everything in memory, for simulations.
+
+// Map that writes every set/delete through to the store's log
+class PersistentMap extends Map {
+  constructor(store, name) {
+    super();
+    this.store = store;
+    this.name = name;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    // Map's constructor calls set before the store is attached
+    if (this.store) {
+      this.store.write({ c: this.name, op: 'set', k: key, v: value });
+    }
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed) {
+      this.store.write({ c: this.name, op: 'del', k: key });
+    }
+    return existed;
+  }
+
+  clear() {
+    for (const key of Array.from(this.keys())) {
+      this.delete(key);
+    }
+  }
+
+  // Restore an entry from the log without writing it again
+  restore(key, value) {
+    super.set(key, value);
+  }
+}
+
+class GameStore {
+  constructor({ fileName = 'snapjack.log' } = {}) {
+    this.fileName = fileName;
+    this.dataDir = null;
+    this.filePath = null;
+    this.collections = new Map();
+    this.revivers = new Map();
+    this.retentionPolicies = [];
+    this.fd = null;
+    this.persist = true;
+  }
+
+  // Register a named collection; revive turns stored JSON back into live objects
+  collection(name, { revive } = {}) {
+    const map = new PersistentMap(this, name);
+    this.collections.set(name, map);
+    if (revive) {
+      this.revivers.set(name, revive);
+    }
+    return map;
+  }
+
+  // Remove entries of a collection once they are older than maxAge (milliseconds);
+  // onExpire is called with each entry just before it is removed
+  retain(name, maxAge, getTimestamp, { onExpire } = {}) {
+    this.retentionPolicies.push({ name, maxAge, getTimestamp, onExpire });
+  }
+
+  // Replay the log in dataDir into the registered collections
+  load({ dataDir, persist = true } = {}) {
+    this.persist = persist;
+    if (!persist) {
+      logger.info('Using an in-memory store; nothing is written to disk');
+      return;
+    }
+
+    this.dataDir = dataDir;
+    this.filePath = path.join(dataDir, this.fileName);
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+
+    let entryCount = 0;
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // A crash can leave a partially written last line behind
+          logger.warn('Skipping corrupt store log line', { file: this.filePath });
+          continue;
+        }
+
+        const map = this.collections.get(entry.c);
+        if (!map) continue;
+
+        if (entry.op === 'set') {
+          const revive = this.revivers.get(entry.c);
+          map.restore(entry.k, revive ? revive(entry.v) : entry.v);
+        } else if (entry.op === 'del') {
+          Map.prototype.delete.call(map, entry.k);
+        }
+        entryCount++;
+      }
+    }
+
+    this.fd = fs.openSync(this.filePath, 'a');
+    logger.info('Loaded store log', { file: this.filePath, entries: entryCount });
+
+    // Start from a compact log so it doesn't grow without bound across restarts
+    this.compact();
+  }
+
+  write(entry) {
+    if (!this.persist) return;
+    if (this.fd === null) {
+      throw new Error('Store is not loaded');
+    }
+    fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+  }
+
+  // Rewrite the log with a single entry per live record
+  compact() {
+    if (!this.persist) return;
+
+    const tempPath = `${this.filePath}.tmp`;
+    const lines = [];
+
+    for (const [name, map] of this.collections.entries()) {
+      for (const [key, value] of map.entries()) {
+        lines.push(JSON.stringify({ c: name, op: 'set', k: key, v: value }));
+      }
+    }
+
+    fs.writeFileSync(tempPath, lines.length ? lines.join('\n') + '\n' : '');
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+    }
+    fs.renameSync(tempPath, this.filePath);
+    this.fd = fs.openSync(this.filePath, 'a');
+  }
+
+  // Apply every retention policy, then compact the log
+  applyRetention() {
+    const now = Date.now();
+
+    for (const { name, maxAge, getTimestamp, onExpire } of this.retentionPolicies) {
+      const map = this.collections.get(name);
+      const initialSize = map.size;
+
+      for (const [key, value] of Array.from(map.entries())) {
+        const timestamp = getTimestamp(value);
+        if (typeof timestamp === 'number' && timestamp < now - maxAge) {
+          if (onExpire) {
+            onExpire(value, key);
+          }
+          map.delete(key);
+        }
+      }
+
+      const removedCount = initialSize - map.size;
+      logger.info('Removed expired records', { collection: name, removed: removedCount, remaining: map.size });
+    }
+
+    this.compact();
+  }
+}
+
+module.exports = { GameStore, PersistentMap };
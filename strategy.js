@@ -0,0 +1,203 @@
+// Expected value of each decision on a blackjack hand, and the basic-strategy
+// choice between them, under a rules profile. The shoe is the profile's decks
+// without the cards in view (the hand and the dealer's upcard); every later card
+// is assumed to come from that same mix. The dealer has already checked for
+// blackjack when the player acts, so a ten or ace upcard never hides a natural.
+// Values are net CARDS per CARDS of the hand's bet: -1 loses the bet, 0 is a push.
+
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+
+// Point value of a rank with aces counted as 1; the hand total adds 10 for a soft ace
+function rankValue(rank) {
+  if (rank === 'A') return 1;
+  if (['K', 'Q', 'J'].includes(rank)) return 10;
+  return parseInt(rank, 10);
+}
+
+// Best total of a set of ranks, and whether an ace still counts as 11
+function handTotal(ranks) {
+  let total = 0;
+  let hasAce = false;
+  for (const rank of ranks) {
+    total += rankValue(rank);
+    if (rank === 'A') hasAce = true;
+  }
+  const soft = hasAce && total + 10 <= 21;
+  return { total: soft ? total + 10 : total, soft };
+}
+
+// Probability of drawing each card value (index 1-10) from the rules' shoe without the given ranks
+function drawProbabilities(deckCount, removedRanks) {
+  const counts = new Array(11).fill(0);
+  for (const rank of RANKS) {
+    counts[rankValue(rank)] += 4 * deckCount;
+  }
+  for (const rank of removedRanks) {
+    counts[rankValue(rank)] = Math.max(0, counts[rankValue(rank)] - 1);
+  }
+  const remaining = counts.reduce((sum, count) => sum + count, 0);
+  return counts.map(count => count / remaining);
+}
+
+// Total of a hard sum (aces as 1) that may hold an ace
+function bestTotal(sum, hasAce) {
+  return hasAce && sum + 10 <= 21 ? sum + 10 : sum;
+}
+
+// Chances of the dealer finishing on 17-21 (index 0-4) or busting (index 5) from the upcard
+function dealerFinals(upValue, probabilities, rules) {
+  const memo = new Map();
+
+  function play(sum, hasAce) {
+    const key = sum * 2 + (hasAce ? 1 : 0);
+    if (memo.has(key)) return memo.get(key);
+
+    const total = bestTotal(sum, hasAce);
+    const soft = total !== sum;
+    const finals = new Array(6).fill(0);
+    if (total > 21) {
+      finals[5] = 1;
+    } else if (total > 17 || (total === 17 && !(soft && rules.dealerHitsSoft17))) {
+      finals[total - 17] = 1;
+    } else {
+      for (let value = 1; value <= 10; value++) {
+        if (probabilities[value] === 0) continue;
+        const next = play(sum + value, hasAce || value === 1);
+        for (let i = 0; i < 6; i++) finals[i] += probabilities[value] * next[i];
+      }
+    }
+    memo.set(key, finals);
+    return finals;
+  }
+
+  // The hole card can't complete a natural: the dealer would have shown it already
+  const excluded = upValue === 10 ? 1 : upValue === 1 ? 10 : null;
+  const holeWeight = excluded ? 1 - probabilities[excluded] : 1;
+  const finals = new Array(6).fill(0);
+  for (let value = 1; value <= 10; value++) {
+    if (value === excluded || probabilities[value] === 0) continue;
+    const next = play(upValue + value, upValue === 1 || value === 1);
+    for (let i = 0; i < 6; i++) finals[i] += (probabilities[value] / holeWeight) * next[i];
+  }
+  return finals;
+}
+
+// Expected value of every action offered on a hand. `actions` are the hand's available
+// actions; double and split values are per CARDS of the bet before the extra wager, so all
+// options compare directly. A split is valued as two hands that are not split again.
+function evaluateHand({ cards, upcard, rules, actions }) {
+  const ranks = cards.map(card => card.rank);
+  const upValue = rankValue(upcard.rank);
+  const probabilities = drawProbabilities(rules.deckCount, [...ranks, upcard.rank]);
+  const finals = dealerFinals(upValue, probabilities, rules);
+
+  function standValue(total) {
+    if (total > 21) return -1;
+    let value = finals[5] * rules.winPayout;
+    for (let final = 17; final <= 21; final++) {
+      const chance = finals[final - 17];
+      if (total > final) value += chance * rules.winPayout;
+      else if (total < final) value -= chance;
+    }
+    return value;
+  }
+
+  // A hand that reaches 21 is finished without another decision
+  const hitMemo = new Map();
+  function hitValue(sum, hasAce) {
+    const key = sum * 2 + (hasAce ? 1 : 0);
+    if (hitMemo.has(key)) return hitMemo.get(key);
+
+    let value = 0;
+    for (let card = 1; card <= 10; card++) {
+      if (probabilities[card] === 0) continue;
+      const nextSum = sum + card;
+      const nextAce = hasAce || card === 1;
+      const total = bestTotal(nextSum, nextAce);
+      let outcome;
+      if (total > 21) outcome = -1;
+      else if (total === 21) outcome = standValue(21);
+      else outcome = Math.max(standValue(total), hitValue(nextSum, nextAce));
+      value += probabilities[card] * outcome;
+    }
+    hitMemo.set(key, value);
+    return value;
+  }
+
+  function doubleValue(sum, hasAce) {
+    let value = 0;
+    for (let card = 1; card <= 10; card++) {
+      value += probabilities[card] * standValue(bestTotal(sum + card, hasAce || card === 1));
+    }
+    return 2 * value;
+  }
+
+  // Each split hand gets its second card, then is played on; split aces take one card only
+  function splitValue(rank) {
+    const first = rankValue(rank);
+    let value = 0;
+    for (let card = 1; card <= 10; card++) {
+      if (probabilities[card] === 0) continue;
+      const sum = first + card;
+      const hasAce = first === 1 || card === 1;
+      const total = bestTotal(sum, hasAce);
+      let outcome;
+      if (first === 1 || total === 21) {
+        outcome = standValue(total);
+      } else {
+        outcome = Math.max(standValue(total), hitValue(sum, hasAce));
+        if (rules.doubleAllowed) {
+          outcome = Math.max(outcome, doubleValue(sum, hasAce));
+        }
+      }
+      value += probabilities[card] * outcome;
+    }
+    return 2 * value;
+  }
+
+  const sum = ranks.reduce((total, rank) => total + rankValue(rank), 0);
+  const hasAce = ranks.includes('A');
+  const values = {};
+  for (const action of actions) {
+    switch (action) {
+      case 'stand':
+        values.stand = standValue(bestTotal(sum, hasAce));
+        break;
+      case 'hit':
+        values.hit = hitValue(sum, hasAce);
+        break;
+      case 'double':
+        values.double = doubleValue(sum, hasAce);
+        break;
+      case 'split':
+        values.split = splitValue(ranks[0]);
+        break;
+      case 'surrender':
+        values.surrender = -0.5;
+        break;
+      default:
+        break;
+    }
+  }
+  return values;
+}
+
+// Action with the highest expected value
+function bestAction(values) {
+  let best = null;
+  for (const [action, value] of Object.entries(values)) {
+    if (best === null || value > values[best]) {
+      best = action;
+    }
+  }
+  return best;
+}
+
+// Expected value of insurance per CARDS of the main bet (it costs half the bet and pays 2:1),
+// judged from the dealer's ace and the player's first two cards
+function insuranceValue({ cards, rules }) {
+  const probabilities = drawProbabilities(rules.deckCount, [...cards.map(card => card.rank), 'A']);
+  return 0.5 * (3 * probabilities[10] - 1);
+}
+
+module.exports = { rankValue, handTotal, evaluateHand, bestAction, insuranceValue };
@@ -0,0 +1,78 @@
+const { PublicKey } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  getMint,
+  getAccountLenForMint,
+  getTransferFeeConfig,
+  calculateEpochFee
+} = require('@solana/spl-token');
+const BN = require('bn.js');
+
+// The CARDS mint as found on-chain: the token program that owns it (classic SPL
+// Token or Token-2022), its decimals and its transfer fee extension, if any.
+async function loadMintInfo(connection, mintAddress) {
+  const address = new PublicKey(mintAddress);
+  const account = await connection.getAccountInfo(address);
+  if (!account) {
+    throw new Error(`Mint ${mintAddress} not found`);
+  }
+
+  let programId;
+  if (account.owner.equals(TOKEN_PROGRAM_ID)) {
+    programId = TOKEN_PROGRAM_ID;
+  } else if (account.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+    programId = TOKEN_2022_PROGRAM_ID;
+  } else {
+    throw new Error(`Mint ${mintAddress} is not owned by the Token or Token-2022 program`);
+  }
+
+  const mint = await getMint(connection, address, 'confirmed', programId);
+  const transferFeeConfig = programId.equals(TOKEN_2022_PROGRAM_ID) ? getTransferFeeConfig(mint) : null;
+
+  return {
+    address,
+    programId,
+    programName: programId.equals(TOKEN_PROGRAM_ID) ? 'Token' : 'Token-2022',
+    decimals: mint.decimals,
+    // Size of a token account for this mint, which sets the rent for creating one
+    accountSize: getAccountLenForMint(mint),
+    transferFeeConfig,
+    // Fees can change per epoch, so deposits need the epoch of their slot
+    epochSchedule: transferFeeConfig ? await connection.getEpochSchedule() : null
+  };
+}
+
+// Amount in CARDS to base units, refusing amounts finer than the mint's decimals
+function toBaseUnits(amount, decimals) {
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+    throw new Error('Token amount must be a non-negative number');
+  }
+
+  const fixed = amount.toFixed(decimals);
+  if (Number(fixed) !== amount) {
+    throw new Error(`Token amount ${amount} has more than ${decimals} decimals`);
+  }
+
+  return new BN(fixed.replace('.', ''));
+}
+
+// Base units to an amount in CARDS
+function fromBaseUnits(units, decimals) {
+  const digits = units.toString().padStart(decimals + 1, '0');
+  if (decimals === 0) {
+    return Number(digits);
+  }
+  return Number(`${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`);
+}
+
+// Transfer fee the mint withholds from a transfer of `units` in the given epoch
+function transferFee(mintInfo, epoch, units) {
+  if (!mintInfo.transferFeeConfig) {
+    return new BN(0);
+  }
+  const fee = calculateEpochFee(mintInfo.transferFeeConfig, BigInt(epoch), BigInt(units.toString()));
+  return new BN(fee.toString());
+}
+
+module.exports = { loadMintInfo, toBaseUnits, fromBaseUnits, transferFee };